@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+'use strict';
+
+const { run } = require('../lib/cli');
+
+const result = run(process.argv.slice(2));
+if (typeof result === 'number') process.exitCode = result;
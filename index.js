@@ -2,76 +2,66 @@
 'use strict';
 
 const path = require('path');
-const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
 const _ = require('lodash');
 const nunjucks = require('nunjucks');
-const cheerio = require('cheerio');
-const deepCloneMerge = require('deep-clone-merge');
-const yaml = require('js-yaml');
+const { loadHtml, formatHtml, cleanHtml } = require('./lib/html');
+const { htmlEqual } = require('./lib/html-equal');
+const { matchSnapshot, obsoleteSnapshots } = require('./lib/snapshot');
+const { accessibilityCheck, formatViolations } = require('./lib/accessibility');
+const chaiPlugin = require('./lib/chai');
+const { validateHtml, formatHtmlErrors } = require('./lib/validate-html');
+const { describeComponents } = require('./lib/describe-components');
+const { formContext } = require('./lib/form-context');
+const { loadLocales } = require('./lib/locales');
+const { gallery } = require('./lib/gallery');
+const { pseudoLocalise, findUntranslated } = require('./lib/pseudo-locale');
+const { loadComponentSchema, validateParams, formatParamErrors, seededRandom, generateParams } = require('./lib/component-schema');
+const { compileTemplate } = require('./lib/compile');
+const { LOCATION_METHOD, locationCompilers, instrumentLocations, createLocationStack, addCodeFrame } = require('./lib/locations');
+const { instrumentStrict, strictGlobals } = require('./lib/strict');
+const { COVERAGE_GLOBAL, createTemplateCoverage, templateCoverage, writeTemplateCoverage } = require('./lib/template-coverage');
+const { createTracker, enableTranslationReport, translationReport, formatTranslationReport } = require('./lib/translation-coverage');
 
-const loadHtml = html => {
-    return cheerio.load(html, { normalizeWhitespace: true });
+const kebabCase = name => name.replace(/([A-Z])/g, l => '-' + l.toLowerCase()).replace(/^-/, '');
+
+// the maximum depth of nested $t(key) references in realistic translations
+const MAX_REFERENCE_DEPTH = 10;
+
+// context variable used to pass params to the component wrapper template
+const PARAMS = '__hmpoNunjucksTestParams';
+
+// the translation modes that render.matrix() can render
+const MATRIX_MODES = ['strict', 'realistic', 'pseudo'];
+
+// the number of compiled string templates kept by each renderer
+const STRING_TEMPLATE_CACHE_SIZE = 100;
+
+// the default time in milliseconds an async render can take before it is rejected
+const ASYNC_TIMEOUT = 10000;
+
+const isAsyncFunction = fn => fn.constructor && fn.constructor.name === 'AsyncFunction';
+
+// adapt a filter that returns a promise to the Nunjucks async filter callback, waiting for any promise arguments
+const callbackFilter = fn => function (...args) {
+    const done = args.pop();
+    Promise.all(args)
+        .then(values => fn.apply(this, values))
+        .then(result => done(null, result), done);
 };
 
-/**
- * Formats HTML content by cleaning up whitespace and adding newlines around tags.
- * 
- * This function processes the HTML content by:
- * - Replacing HTML character code `&#x2019;` with the right single quotation mark (`’`).
- * - Adding newlines before opening tags to ensure clean formatting.
- * - Adding newlines after closing tags to separate them visually.
- * - Removing multiple consecutive newlines and spaces, ensuring a single newline between elements.
- * - Trimming any leading or trailing whitespace.
- *
- * @param {Cheerio} $ - A Cheerio object containing the HTML content to format.
- * @returns {string} The formatted HTML as a string, with newlines and cleaned whitespace.
- * 
- * @example
- * const cheerio = require('cheerio');
- * const htmlContent = cheerio.load('<div><p>  This is a test &#x2019; string  </p>  <p>Another test.</p></div>');
- * const formattedHtml = formatHtml(htmlContent);
- * console.log(formattedHtml); 
- * // Output: 
- * // '<div>\n<p>This is a test ’ string</p>\n<p>Another test.</p>\n</div>'
- */
-const formatHtml = $ => {
-    let html = $.html()
-        .replace(/&#x2019;/g, '’')
-        .replace(/(<[^/][^>]+>)\s*/g, '\n$1')
-        .replace(/\s*(<\/[^>]+>)/g, '$1\n')
-        .replace(/(\n\s*)+/g, '\n');
-    return html.trim();
+// filters and globals can be a module with addFilters/addGlobals functions or an object of functions keyed by name
+const addFilters = (env, filters) => {
+    if (typeof filters.addFilters === 'function') return filters.addFilters(env);
+    _.forEach(filters, (fn, name) => {
+        const isAsync = fn.async === true || isAsyncFunction(fn);
+        env.addFilter(name, isAsync ? callbackFilter(fn) : fn, isAsync);
+    });
 };
 
-/**
- * Cleans HTML content by removing unnecessary whitespace and formatting issues.
- * 
- * This function processes the HTML content by:
- * - Replacing the HTML character code `&#x2019;` with the right single quotation mark (`’`).
- * - Removing whitespace after opening tags and before closing tags.
- * - Removing all newlines and excessive spaces within the HTML string.
- * - Trimming leading and trailing whitespace from the final HTML.
- *
- * This function is useful for "cleaning" HTML content, making it more compact and free of extra spaces and newlines.
- *
- * @param {Cheerio} $ - A Cheerio object containing the HTML content to clean.
- * @returns {string} The cleaned HTML as a string, with unnecessary whitespace removed.
- * 
- * @example
- * const cheerio = require('cheerio');
- * const htmlContent = cheerio.load('<div><p>  This is a test &#x2019; string  </p>  <p>Another test.</p></div>');
- * const cleanedHtml = cleanHtml(htmlContent);
- * console.log(cleanedHtml); 
- * // Output: 
- * // '<div><p>This is a test ’ string</p><p>Another test.</p></div>'
- */
-const cleanHtml = $ => {
-    let html = $.html()
-        .replace(/&#x2019;/g, '’')
-        .replace(/(<[^/][^>]+>)\s*/g, '$1')
-        .replace(/\s*(<\/[^>]+>)/g, '$1')
-        .replace(/(\n\s*)+/g, '');
-    return html.trim();
+const addGlobals = (env, globals) => {
+    if (typeof globals.addGlobals === 'function') return globals.addGlobals(env);
+    _.forEach(globals, (value, name) => env.addGlobal(name, value));
 };
 
 /**
@@ -84,19 +74,55 @@ const cleanHtml = $ => {
  * 
  * @param {string|string[]} views - Path(s) to the directories containing Nunjucks templates. Can be a single 
  *                                  directory or an array of directories.
- * @param {string[]} locales - An array of paths to localization files (JSON or YAML) that contain translations 
- *                             for various languages.
+ * @param {string[]|Object<string, string[]>} locales - An array of paths to localization files (JSON or YAML) that 
+ *                             contain translations, or an object of path arrays keyed by language, eg
+ *                             `{ en: [...], cy: [...] }`. The first language is the default language.
  * @param {Object} [globals=require('hmpo-components/lib/globals')] - An object that provides global 
  *                                                                     functions/variables to be used in the templates.
+ *                                                                     Either a module with an `addGlobals(env)`
+ *                                                                     function or an object of globals keyed by name.
  * @param {Object} [filters=require('hmpo-components/lib/filters')] - An object containing custom filters to be 
- *                                                                     added to Nunjucks.
- * @param {boolean} [realistic=false] - A flag that determines if the translation function should behave in a 
+ *                                                                     added to Nunjucks. Either a module with an
+ *                                                                     `addFilters(env)` function or an object of
+ *                                                                     filters keyed by name. Async functions, and
+ *                                                                     functions with an `async: true` property, are
+ *                                                                     added as async filters for `render.async()`.
+ * @param {boolean|Object} [config=false] - A flag that determines if the translation function should behave in a 
  *                                      more "realistic" manner, e.g., fallback to the default value if a key is 
- *                                      missing.
+ *                                      missing. Can also be an object of renderer options:
+ *   - `realistic` {boolean}: Use the realistic translation function. This interpolates `{{placeholders}}` from
+ *     the translate options and context, chooses `zero`/`one`/`other` plural forms using the `count` option, and
+ *     resolves `$t(other.key)` references, in the same way as the production translator.
+ *   - `pseudo` {boolean}: Translate in the same way as `realistic`, then pseudo-localise each translation with
+ *     accented, expanded text wrapped in `⟦` and `⟧` markers, so `findUntranslated()` can find hard-coded text.
+ *   - `accessibility` {boolean}: Throw an error if `accessibilityCheck()` finds violations in any render.
+ *   - `validateHtml` {boolean}: Throw an error if `validateHtml()` finds problems in the HTML of any render.
+ *   - `validateParams` {boolean}: Check component params against the `params.schema.json` or `params.schema.yaml`
+ *     file next to the component's `macro.njk`, throwing an error for invalid params and adding a warning for each
+ *     key the schema doesn't list. Defaults to `true`.
+ *   - `strictLocales` {boolean}: Throw an error if a locale file overrides a key from an earlier file, or replaces a
+ *     string with an object or an object with a string. These are otherwise listed in `render.localeWarnings`.
+ *   - `translationReport` {boolean}: Add this renderer's translation lookups to `translationReport()`, which otherwise
+ *     only covers renderers created after `enableTranslationReport()` or loading the translation report mocha hook.
+ *   - `coverage` {boolean}: Instrument templates loaded from the views to record which statements, branches and
+ *     macros run. Coverage is available from `render.templateCoverage` and `templateCoverage()`.
+ *   - `strict` {boolean|function}: Throw an error listing the file, line and expression of every undefined variable
+ *     or member looked up by a render, as `err.undefinedLookups`. Lookups in `if` conditions, `for` lists, `or`,
+ *     `is defined` tests and the `default` filter aren't reported. Template files under `node_modules` aren't
+ *     checked, or a function can be given that returns whether to check a template file path.
+ *   - `asyncTimeout` {number}: The time in milliseconds a `render.async()` can take before it is rejected, so an
+ *     async filter that never finishes doesn't hold up later async renders. Defaults to 10000, `0` for no timeout.
+ *   - `componentResolver` {function|Object[]}: How component names are resolved to macro files. Either a function
+ *     returning a path or a list of paths to try, or a list of `{ prefix, path }` rules, eg
+ *     `{ prefix: 'govuk', path: 'govuk/components/' }` resolves `govukButton` to `govuk/components/button/macro.njk`.
+ *     The default `my-component/macro.njk` path for `myComponent` is tried after any matching rules.
  * 
  * @returns {function} - A render function that can be used to render templates, strings, or components. This 
  *                       function accepts an options object and an optional context object, and returns the 
- *                       rendered HTML output.
+ *                       rendered HTML output. The function also exposes its Nunjucks `environment`,
+ *                       `dictionary`, `dictionarySources` (the file each key was loaded from, keyed by language
+ *                       when locales are grouped by language), `localeWarnings`, `languages` and a
+ *                       `translations` tracker that records every translation lookup for coverage reports.
  * 
  * @example
  * const renderer = require('./renderer');
@@ -145,53 +171,596 @@ const cleanHtml = $ => {
  * });
  * // Will throw an error if translation for "footer" is missing
  */
-const renderer = (views, locales, globals = require('hmpo-components/lib/globals'), filters = require('hmpo-components/lib/filters'), realistic) => {
+const renderer = (views, locales, globals = require('hmpo-components/lib/globals'), filters = require('hmpo-components/lib/filters'), config) => {
+    if (!_.isPlainObject(config)) config = { realistic: config };
 
-    let nunjucksEnv = nunjucks.configure(views, {
+    // each renderer has its own environment so renderers don't share loaders, globals or filters
+    const loader = new nunjucks.FileSystemLoader(views);
+    const nunjucksEnv = new nunjucks.Environment(loader, {
         trimBlocks: true,
         lstripBlocks: true
     });
 
-    globals.addGlobals(nunjucksEnv);
-    filters.addFilters(nunjucksEnv);
+    const findSource = loader.getSource.bind(loader);
+    const coverage = config.coverage ? createTemplateCoverage() : undefined;
+
+    // strict checks apply to strings, caller bodies and template files chosen by the strict option, which by default
+    // are files outside node_modules, so optional params passed on to third-party components aren't reported
+    const isStrict = typeof config.strict === 'function' ? config.strict :
+        file => Boolean(config.strict) && !file.split(path.sep).includes('node_modules');
+
+    // the `{ name, template, src }` of every compiled template, keyed by the id used in location markers. String
+    // templates are given their own id, so their source can be removed when they leave the string template cache
+    const sources = new Map();
+    const sourceIds = new Map();
+    let nextSourceId = 0;
+    const addSource = (source, id = nextSourceId++) => {
+        sources.set(id, source);
+        return id;
+    };
+    const sourceId = source => {
+        const key = source.name + '\n' + source.src;
+        if (!sourceIds.has(key)) sourceIds.set(key, addSource(source));
+        return sourceIds.get(key);
+    };
+
+    // compile a template with location markers, and with coverage and strict checks when they are enabled. The
+    // `located` source is the part of the template that errors are reported against, starting at `offset` on the
+    // first line, so a component wrapper can report errors in its caller body
+    const compile = (src, name, located, instrumentCoverage) => compileTemplate(src, nunjucksEnv, name, (ast, processed) => {
+        if (instrumentCoverage) coverage.instrument(ast, processed, name);
+        if (!located) return;
+        const source = { name: located.name, template: located.template || located.name, src: located.src || processed };
+        const id = located.id !== undefined ? addSource(source, located.id) : sourceId(source);
+        const offset = located.offset || 0;
+        const locate = node => {
+            if (node.lineno === 0 && node.colno < offset) return;
+            return { id, line: node.lineno + 1, column: node.colno - (node.lineno === 0 ? offset : 0) + 1 };
+        };
+        if (config.strict && (!located.file || isStrict(located.name))) instrumentStrict(ast, locate);
+        instrumentLocations(ast, locate);
+    }, locationCompilers);
+
+    // a template compiled with instrumentation, keeping its source string like a template nunjucks compiled itself
+    const createTemplate = (string, located) => {
+        const template = new nunjucks.Template(string, nunjucksEnv);
+        template.tmplProps = compile(string, undefined, located);
+        return template;
+    };
+
+    // compiled string templates, least recently used first
+    const stringTemplates = new Map();
+    const getStringTemplate = string => {
+        let entry = stringTemplates.get(string);
+        if (entry) {
+            stringTemplates.delete(string);
+        } else {
+            const id = nextSourceId++;
+            entry = { id, template: createTemplate(string, { name: 'string', id }) };
+        }
+        stringTemplates.set(string, entry);
+
+        if (stringTemplates.size > STRING_TEMPLATE_CACHE_SIZE) {
+            const [oldest, { id }] = stringTemplates.entries().next().value;
+            stringTemplates.delete(oldest);
+            sources.delete(id);
+        }
+        return entry.template;
+    };
+
+    loader.getSource = name => {
+        const info = findSource(name);
+        if (!info) return info;
+        const props = compile(info.src, info.path, { name: info.path, template: name, file: true }, Boolean(coverage));
+        return Object.assign({}, info, { src: { type: 'code', obj: props } });
+    };
+
+    addGlobals(nunjucksEnv, globals);
+    addFilters(nunjucksEnv, filters);
+
+    // the stubs and recorded calls of each render, kept for the whole render including async filter callbacks, so a
+    // render that runs while an async render is waiting on a filter doesn't share its state
+    const renderState = new AsyncLocalStorage();
+    const current = () => renderState.getStore();
+
+    // wrap a filter or global to record its calls and allow it to be stubbed for a single render
+    const spy = (type, name, original) => function (...args) {
+        const state = current();
+        const stub = state && _.get(state.stubs, [type, name]);
+        const record = returnValue => {
+            if (!state) return;
+            state.calls[type][name] = state.calls[type][name] || [];
+            state.calls[type][name].push({ args, returnValue });
+        };
+
+        if (type !== 'filters' || !nunjucksEnv.asyncFilters.includes(name)) {
+            const returnValue = (stub || original).apply(this, args);
+            record(returnValue);
+            return returnValue;
+        }
+
+        // async filters record the value passed to the callback, and can be stubbed with a function returning a promise
+        const done = args.pop();
+        if (state) state.pending.push(name);
+        // the result is passed on in a later tick, so a render that completes without waiting for it can be detected
+        const finish = (err, result) => setImmediate(() => renderState.run(state, () => {
+            if (state) state.pending.splice(state.pending.indexOf(name), 1);
+            if (!err) record(result);
+            try {
+                done(err, result);
+            } catch (e) {
+                // nunjucks can't resume a macro after an async filter so the render must be failed
+                if (!state || !state.fail) throw e;
+                state.fail(asyncFilterError(name));
+            }
+        }));
+        if (stub) callbackFilter(stub).call(this, ...args, finish);
+        else original.call(this, ...args, finish);
+    };
+
+    const asyncFilterError = name => new Error('Async filter ' + name + ' did not finish before the render ' +
+        'completed. Async filters cannot be used inside macros, including components and call blocks');
+
+    _.forEach(nunjucksEnv.filters, (fn, name) => {
+        nunjucksEnv.filters[name] = spy('filters', name, fn);
+    });
+    _.forEach(nunjucksEnv.globals, (fn, name) => {
+        if (typeof fn === 'function') nunjucksEnv.globals[name] = spy('globals', name, fn);
+    });
+
+    // record the templates loaded by each render
+    const getTemplate = nunjucksEnv.getTemplate;
+    nunjucksEnv.getTemplate = function (name, ...args) {
+        const state = current();
+        if (state && typeof name === 'string' && !state.templates.includes(name)) state.templates.push(name);
+        return getTemplate.call(this, name, ...args);
+    };
 
-    const loadLocale = (p, stack) => {
-        const stat = fs.statSync(p);
+    if (coverage) nunjucksEnv.addGlobal(COVERAGE_GLOBAL, coverage.hit);
 
-        if (stat.isDirectory()) {
-            const files = fs.readdirSync(p);
-            let data = {};
-            files.forEach(file => {
-                if (file.match(/\.(jso?n|ya?ml)$/)) data = loadLocale(path.resolve(p, file), data);
+    nunjucksEnv[LOCATION_METHOD] = (action, id, line, column) => {
+        const state = current();
+        if (state) state.locations.update(action, id, line, column);
+    };
+
+    // record each undefined lookup once per render
+    const reportUndefined = (id, line, column, expression) => {
+        const state = current();
+        if (!state) return;
+        const lookup = { file: _.get(sources.get(id), 'name', 'string'), line, column, expression };
+        if (!_.some(state.undefinedLookups, lookup)) state.undefinedLookups.push(lookup);
+    };
+    _.forEach(strictGlobals(reportUndefined), (fn, name) => nunjucksEnv.addGlobal(name, fn));
+
+    // add spies for stubs that replace filters or globals that don't exist, and replace globals that aren't
+    // functions, returning a function to restore the filters and globals
+    const installStubs = stubs => {
+        const registries = { filters: nunjucksEnv.filters, globals: nunjucksEnv.globals };
+        _.forEach(registries, (registry, type) => {
+            _.forEach(stubs[type], (stub, name) => {
+                if (typeof stub !== 'function' && (type === 'filters' || typeof registry[name] === 'function')) {
+                    throw new Error('Stub for ' + type.slice(0, -1) + ' ' + name + ' must be a function');
+                }
             });
-            return data;
+        });
+
+        const restore = [];
+        _.forEach(registries, (registry, type) => {
+            _.forEach(stubs[type], (stub, name) => {
+                const exists = _.has(registry, name);
+                const original = registry[name];
+                // function filters and globals are already spies that call the stub
+                if (exists && typeof original === 'function') return;
+                registry[name] = exists || typeof stub !== 'function' ? stub : spy(type, name);
+                restore.push(() => {
+                    if (exists) registry[name] = original;
+                    else delete registry[name];
+                });
+            });
+        });
+        return () => restore.forEach(fn => fn());
+    };
+
+
+    // locales can be a list of paths for a single language or an object of path lists keyed by language
+    const multilingual = Boolean(locales) && !Array.isArray(locales);
+
+    const localeWarnings = [];
+
+    // load the locales for a language, recording the file each key came from
+    const loadDictionary = (paths, language) => {
+        const { data, sources, warnings } = loadLocales(paths);
+        warnings.forEach(warning => localeWarnings.push(language ? Object.assign({ language }, warning) : warning));
+        return { data, sources };
+    };
+
+    let dictionary;
+    let dictionarySources;
+    if (multilingual) {
+        const loaded = _.mapValues(locales, (paths, language) => loadDictionary(_.castArray(paths), language));
+        dictionary = _.mapValues(loaded, 'data');
+        dictionarySources = _.mapValues(loaded, 'sources');
+    } else if (locales) {
+        const loaded = loadDictionary(locales);
+        dictionary = loaded.data;
+        dictionarySources = loaded.sources;
+    }
+
+    if (config.strictLocales && localeWarnings.length) {
+        const err = new Error('Locale problems:\n' + localeWarnings.map(warning => '  ' + warning.message).join('\n'));
+        err.localeWarnings = localeWarnings;
+        throw err;
+    }
+
+    const languages = multilingual ? Object.keys(dictionary) : [];
+
+    const getLanguages = language => {
+        if (!multilingual) return [undefined];
+        if (!language) return [languages[0]];
+        let list = _.castArray(language);
+        // a single language falls back to the default language, eg cy => cy, en
+        if (!Array.isArray(language)) list = _.uniq(list.concat(languages[0]));
+        list.forEach(lng => {
+            if (!dictionary[lng]) throw new Error('Unknown language ' + lng);
+        });
+        return list;
+    };
+
+    const getLocale = lng => multilingual ? dictionary[lng] : dictionary;
+
+    const translations = createTracker(dictionary, languages, Boolean(config.translationReport));
+
+    const findTranslation = (keys, lngs) => {
+        for (const language of lngs) {
+            for (const key of keys) {
+                const translation = _.get(getLocale(language), key);
+                if (translation) return { key, language, translation };
+            }
+        }
+    };
+
+    // look up the first translation found and record the lookup for translation coverage reports
+    const lookup = (keys, lngs, translateOptions, source) => {
+        const found = findTranslation(keys, lngs);
+        translations.record({
+            keys,
+            languages: lngs,
+            key: found && found.key,
+            language: found && found.language,
+            found: Boolean(found),
+            defaulted: !found && Boolean(translateOptions.default),
+            source
+        });
+        return found && found.translation;
+    };
+
+    const templateExists = name => Boolean(findSource(name));
+
+    // find the macro file for a component name using the configured resolver
+    const resolveComponent = name => {
+        const resolver = config.componentResolver;
+        let candidates;
+        if (typeof resolver === 'function') {
+            candidates = _.castArray(resolver(name) || []);
+        } else {
+            candidates = _.filter(resolver, rule => rule.prefix && name.startsWith(rule.prefix) && name !== rule.prefix)
+                .map(rule => rule.path + kebabCase(name.substr(rule.prefix.length)) + '/macro.njk');
+            candidates.push(kebabCase(name) + '/macro.njk');
+        }
+
+        const filename = candidates.find(templateExists);
+        if (!filename) throw new Error('Cannot find component ' + name + ', tried: ' + candidates.join(', '));
+        return filename;
+    };
+
+    // params schemas keyed by component name, undefined for components without a schema file
+    const componentSchemas = {};
+
+    const getComponentSchema = name => {
+        if (!_.has(componentSchemas, name)) componentSchemas[name] = loadComponentSchema(findSource(resolveComponent(name)).path);
+        return componentSchemas[name];
+    };
+
+    // throw an error for params that don't match the component's schema, and warn about keys it doesn't list
+    const checkParams = (name, params, warn) => {
+        const schema = getComponentSchema(name);
+        if (!schema) return;
+        const { errors, unknownKeys } = validateParams(schema, params);
+        unknownKeys.forEach(key => warn('component-params-unknown', 'Unknown param ' + key + ' for ' + name));
+        if (errors.length) {
+            const err = new Error('Invalid params for ' + name + ':\n' + formatParamErrors(errors));
+            err.paramErrors = errors;
+            throw err;
+        }
+    };
+
+    // compiled component wrapper templates keyed by component name and argument shape
+    const componentTemplates = {};
+
+    const getComponentTemplate = options => {
+        const key = JSON.stringify([options.component, Boolean(options.ctx), Boolean(options.params), options.caller]);
+        if (componentTemplates[key]) return componentTemplates[key];
+
+        const filename = resolveComponent(options.component);
+        const importString = `{% from "${filename}" import ${options.component} %}`;
+        const args = [];
+        if (options.ctx) args.push('ctx');
+        if (options.params) args.push(PARAMS);
+        const macroString = `${options.component}(${args.join(',')})`;
+        const string = options.caller ?
+            `${importString}{% call ${macroString} %}${options.caller}{% endcall %}` :
+            `${importString}{{ ${macroString} }}`;
+
+        // errors in the wrapper are reported against the caller body rather than the generated string
+        const located = options.caller && {
+            name: options.component + ' caller',
+            src: options.caller,
+            offset: string.length - options.caller.length - '{% endcall %}'.length
+        };
+        componentTemplates[key] = createTemplate(string, located);
+        return componentTemplates[key];
+    };
+
+    // set up the state and context for a render
+    const prepareRender = (options, context = {}) => {
+        const start = performance.now();
+
+        if (typeof options === 'string') options = { template: options };
+
+        const lngs = getLanguages(options.language);
+        const source = options.template || options.component || 'string';
+        const realistic = options.realistic !== undefined ? options.realistic : config.realistic;
+        const pseudo = options.pseudo !== undefined ? options.pseudo : config.pseudo;
+        const lookupsStart = translations.lookups.length;
+
+        const state = {
+            stubs: options.stubs || {},
+            calls: { filters: {}, globals: {} },
+            templates: [],
+            warnings: [],
+            pending: [],
+            locations: createLocationStack(),
+            undefinedLookups: []
+        };
+
+        const warn = (type, message) => state.warnings.push({ type, message });
+
+        // the template, caller body or string being rendered, for recording translation lookups. This is the render
+        // target until its first statement runs
+        const currentSource = () => {
+            const location = state.locations.location();
+            const located = location && sources.get(location.id);
+            return located ? located.template : source;
+        };
+
+        const shouldValidateParams = options.validateParams !== undefined ? options.validateParams : config.validateParams !== false;
+        if (options.component && options.params !== undefined && shouldValidateParams) {
+            checkParams(options.component, options.params, warn);
+        }
+
+        // choose the plural form of an object translation based on the count option
+        const pluralise = (translation, count) => {
+            if (!_.isPlainObject(translation) || count === undefined) return translation;
+            if (count === 0 && translation.zero !== undefined) return translation.zero;
+            return count === 1 ? translation.one : translation.other;
+        };
+
+        // resolve $t(key) references and interpolate {{placeholders}} from the translate options, then the
+        // `context` translate option or the render context
+        const resolveTranslation = (translation, key, translateOptions, depth) => {
+            if (typeof translation !== 'string') return translation;
+            return translation
+                .replace(/\$t\(\s*([^)]+?)\s*\)/g, (match, reference) => {
+                    if (depth >= MAX_REFERENCE_DEPTH) {
+                        warn('translation-reference', 'Too many nested references resolving ' + reference + ' in ' + key);
+                        return match;
+                    }
+                    const nestedOptions = _.omit(translateOptions, 'default');
+                    return realisticTranslate(reference, nestedOptions, depth + 1);
+                })
+                .replace(/{{\s*([\w.]+)\s*}}/g, (match, name) => {
+                    let value = _.get(translateOptions, name);
+                    if (value === undefined) value = _.get(translateOptions.context || context, name);
+                    if (value === undefined) {
+                        warn('translation-interpolation', 'No value for ' + match + ' in ' + key);
+                        return match;
+                    }
+                    return String(value);
+                });
+        };
+
+        // translations are pseudo-localised once nested references are resolved, but a missing key is returned as it
+        // is so findUntranslated() reports it
+        const realisticTranslate = (key, translateOptions, depth) => {
+            const keys = Array.isArray(key) ? key : [key];
+            let translation = pluralise(lookup(keys, lngs, translateOptions, currentSource()), translateOptions.count);
+            if (!translation && translateOptions.default) {
+                warn('translation-default', 'Translation not found for ' + keys.join(', ') + ', used default');
+                translation = translateOptions.default;
+            }
+            if (!translation) {
+                if (translateOptions.self) warn('translation-missing', 'Translation not found for ' + keys.join(', '));
+                return translateOptions.self && keys[0];
+            }
+            translation = resolveTranslation(translation, keys[0], translateOptions, depth);
+            return pseudo && depth === 0 ? pseudoLocalise(translation) : translation;
+        };
+
+        // build the form wizard context, keeping any options given in the render context
+        if (options.form) {
+            const form = formContext(options.form);
+            context = Object.assign(form, context, { options: Object.assign({}, form.options, context.options) });
         }
 
-        let data;
+        context = Object.assign({
+            translate: (key, translateOptions = {}) => {
+                translateOptions = _.extend({ self: true }, translateOptions);
+                if (realistic || pseudo) {
+                    if (!dictionary) return;
+                    return realisticTranslate(key, translateOptions, 0);
+                }
+
+                if (Array.isArray(key)) key = key[0];
+                if (!dictionary) return '[' + key + ']';
+                // check if keys exist in the locale files for the requested languages
+                let translation = lookup([key], lngs, translateOptions, currentSource());
+                if (!translation && translateOptions.default) {
+                    warn('translation-default', 'Translation not found for ' + key + ', used default');
+                    translation = translateOptions.default;
+                }
+                if (translateOptions.self && !translation) {
+                    if (!options.ignore === true && !_.includes(options.ignore, key))
+                        throw new Error('Translation not found for ' + key);
+                    warn('translation-ignored', 'Translation not found for ' + key + ', ignored');
+                }
+                return options.translate ? String(translation) : '[' + key + ']';
+            },
+            ctx: key => key ? _.get(context, key) : context
+        }, context);
+
+        return { options, context, state, source, start, lookupsStart };
+    };
+
+    // render synchronously, or asynchronously if a callback is given
+    const renderOutput = ({ options, context }, callback) => {
+        if (options.template) return nunjucksEnv.render(options.template, context, callback);
+
+        if (options.string) return getStringTemplate(options.string).render(context, callback);
+
+        if (options.component) {
+            const template = getComponentTemplate(options);
+            return template.render(Object.assign({}, context, { [PARAMS]: options.params }), callback);
+        }
+
+        throw new Error('Cannot render!');
+    };
+
+    // check and load the rendered output
+    const finishRender = ({ options, state, source, start, lookupsStart }, output) => {
+        if (state.undefinedLookups.length) {
+            const err = new Error('Undefined variables in ' + source + ':\n' + state.undefinedLookups
+                .map(lookup => '  ' + lookup.file + ':' + lookup.line + ':' + lookup.column + ' ' + lookup.expression)
+                .join('\n'));
+            err.undefinedLookups = state.undefinedLookups;
+            throw err;
+        }
+
+        if (options.validateHtml !== undefined ? options.validateHtml : config.validateHtml) {
+            const htmlErrors = validateHtml(output);
+            if (htmlErrors.length) {
+                const err = new Error('Invalid HTML in ' + source + ':\n' + formatHtmlErrors(htmlErrors));
+                err.htmlErrors = htmlErrors;
+                throw err;
+            }
+        }
+
+        const $ = loadHtml(output);
+        $.calls = state.calls;
+        $.warnings = state.warnings;
+
+        if (options.accessibility !== undefined ? options.accessibility : config.accessibility) {
+            const violations = accessibilityCheck($);
+            if (violations.length) {
+                const err = new Error('Accessibility violations in ' + source + ':\n' + formatViolations(violations));
+                err.violations = violations;
+                throw err;
+            }
+        }
+
+        return {
+            $,
+            html: output,
+            templates: state.templates,
+            translations: translations.lookups.slice(lookupsStart),
+            warnings: state.warnings,
+            calls: state.calls,
+            durationMs: performance.now() - start
+        };
+    };
+
+    /**
+     * Renders a template, string, or component and returns details of the render. Takes the same arguments as
+     * `render()`.
+     *
+     * @param {Object|string} options - Options to control the rendering process, see `render()`.
+     * @param {Object} [context={}] - The context to pass to the Nunjucks template rendering.
+     * @returns {Object} The render details containing:
+     *   - `$` {CheerioAPI}: The rendered HTML loaded into Cheerio.
+     *   - `html` {string}: The rendered HTML string.
+     *   - `templates` {string[]}: Every template, include, import and macro file loaded, in order.
+     *   - `translations` {Object[]}: The translation lookups made, as recorded by `render.translations`.
+     *   - `warnings` {Object[]}: `{ type, message }` for non-fatal problems such as missing translations.
+     *   - `calls` {Object}: The recorded filter and global calls.
+     *   - `durationMs` {number}: How long the render took in milliseconds.
+     */
+    const renderDetailed = (options, context) => {
+        const job = prepareRender(options, context);
+        const removeStubs = installStubs(job.state.stubs);
+
+        let output;
+
         try {
-            const text = fs.readFileSync(p).toString();
-            if (p.match(/\.jso?n$/)) data = JSON.parse(text);
-            else if (p.match(/\.ya?ml$/)) data = yaml.load(text);
-            else throw new Error('Unknown file type');
-        } catch (e) {
-            throw new Error('Error loading localisation file ' + p + ': ' + e.message);
+            output = renderState.run(job.state, () => renderOutput(job));
+        } catch (err) {
+            throw addCodeFrame(err, job.state.locations.location(), sources);
+        } finally {
+            removeStubs();
         }
 
-        if (!stack) return data;
+        if (job.state.pending.length) {
+            // ignore the async filter finishing after the error has been thrown
+            job.state.fail = _.noop;
+            throw new Error('Async filter ' + job.state.pending[0] + ' can only be used with render.async()');
+        }
 
-        // mount this file in the correct place in the stack based on filename
-        const parts = path.basename(p).split('.');
-        parts.pop();
-        if (parts[0] === 'default') parts.shift();
-        while (parts.length) data = { [parts.pop()]: data };
-        return deepCloneMerge(stack, data);
+        return finishRender(job, output);
     };
 
-    let locale;
-    if (locales) {
-        locales = locales.map(locale => loadLocale(locale));
-        locale = deepCloneMerge(...locales);
-    }
+    // async renders run one at a time so their stubs and recorded calls don't overlap
+    let queue = Promise.resolve();
+
+    const renderDetailedAsync = (options, context) => {
+        const run = () => new Promise((resolve, reject) => {
+            const job = prepareRender(options, context);
+            const removeStubs = installStubs(job.state.stubs);
+
+            let finished = false;
+            let timer;
+            const callback = (err, output) => {
+                if (finished) return;
+                finished = true;
+                clearTimeout(timer);
+                removeStubs();
+
+                if (!err && job.state.pending.length) err = asyncFilterError(job.state.pending[0]);
+                if (err) return reject(addCodeFrame(err, job.state.locations.location(), sources));
+                try {
+                    resolve(finishRender(job, output));
+                } catch (e) {
+                    reject(e);
+                }
+            };
+            job.state.fail = callback;
+
+            // reject a render that is still waiting, so it doesn't hold up the queue. A filter that finishes later
+            // continues the render with its own state, and its output is ignored
+            const timeout = _.find([job.options.asyncTimeout, config.asyncTimeout, ASYNC_TIMEOUT], _.isNumber);
+            if (timeout) {
+                timer = setTimeout(() => callback(new Error('Async render timed out after ' + timeout + 'ms' +
+                    (job.state.pending.length ? ' waiting for async filter ' + job.state.pending[0] : ''))), timeout);
+            }
+
+            try {
+                renderState.run(job.state, () => renderOutput(job, callback));
+            } catch (err) {
+                callback(err);
+            }
+        });
+
+        const result = queue.then(run);
+        queue = result.catch(_.noop);
+        return result;
+    };
 
     /**
      * Renders a template, string, or component using the Nunjucks templating engine.
@@ -214,12 +783,30 @@ const renderer = (views, locales, globals = require('hmpo-components/lib/globals
      *     - `ctx` {boolean}: Whether to include the context (`true` includes context).
      *     - `ignore` {Array|string}: Keys to ignore during translation.
      *     - `translate` {boolean}: Whether to perform translation (defaults to `true`).
+     *     - `realistic` {boolean}: Whether to use the realistic translation function, overriding the renderer's
+     *       `realistic` option.
+     *     - `pseudo` {boolean}: Whether to pseudo-localise translations, overriding the renderer's `pseudo` option.
+     *     - `accessibility` {boolean}: Whether to throw an error for accessibility violations, overriding the
+     *       renderer's `accessibility` option.
+     *     - `validateHtml` {boolean}: Whether to throw an error for invalid HTML, overriding the renderer's
+     *       `validateHtml` option.
+     *     - `validateParams` {boolean}: Whether to check component params against the component's params schema,
+     *       overriding the renderer's `validateParams` option.
+     *     - `stubs` {Object}: `filters` and `globals` objects of functions that replace filters and globals for
+     *       this render only. Globals that aren't functions, such as a service name, can be replaced by any value.
+     *     - `language` {string|string[]}: The language to translate into when locales are grouped by language. A
+     *       single language falls back to the default language, an array is used as the full fallback list.
+     *     - `form` {Object}: A `{ fields, values, errors }` spec that is built with `formContext()` and added to
+     *       the context, so form fields and error messages render as they would with hmpo-form-wizard.
      * @param {Object} [context={}] - The context to pass to the Nunjucks template rendering. 
      *   It can contain variables, helper functions, or translation options.
      *   - `translate`: A function that provides translations for keys.
      *   - `ctx`: A function to access the context.
-     * @returns {string} The rendered HTML output as a string.
-     * @throws {Error} If an error occurs during rendering or if a translation is not found.
+     * @returns {CheerioAPI} The rendered HTML loaded into Cheerio. Every call to a filter or global is recorded in
+     *   `$.calls.filters` and `$.calls.globals`, keyed by name, as `{ args, returnValue }` objects, and the render
+     *   warnings are `$.warnings`.
+     * @throws {Error} If an error occurs during rendering or if a translation is not found. Rendering errors have the
+     *   template `location` and a `codeFrame` of the statement being rendered.
      * 
      * @example
      * // Rendering a template
@@ -241,56 +828,168 @@ const renderer = (views, locales, globals = require('hmpo-components/lib/globals
      *   translate: true
      * });
      */
-    const render = (options, context = {}) => {
-        if (typeof options === 'string') options = { template: options };
+    const render = (options, context) => renderDetailed(options, context).$;
 
-        context = Object.assign({
-            translate: (key, translateOptions = {}) => {
-                translateOptions = _.extend({ self: true }, translateOptions);
-                if (realistic) {
-                    if (!locale) return;
-                    const keys = Array.isArray(key) ? key : [key];
-                    return _.reduce(keys, (str, k) => {
-                        return str || _.get(locale, k);
-                    }, null) || translateOptions.default || (translateOptions.self && keys[0]);
-                }
+    /**
+     * Renders a template, string, or component using Nunjucks' callback rendering, so templates can use async
+     * filters. Takes the same arguments as `render()`, and an `asyncTimeout` option that overrides the renderer's
+     * `asyncTimeout`. Async filters cannot be used inside macros, so a component can't use an async filter in its own
+     * macro or in a `caller` body.
+     *
+     * @param {Object|string} options - Options to control the rendering process, see `render()`.
+     * @param {Object} [context={}] - The context to pass to the Nunjucks template rendering.
+     * @returns {Promise<CheerioAPI>} A promise for the rendered HTML loaded into Cheerio.
+     *
+     * @example
+     * const $ = await render.async({ string: '{{ userId | fetchName }}' }, { userId: 1 });
+     */
+    render.async = (options, context) => renderDetailedAsync(options, context).then(details => details.$);
 
-                if (Array.isArray(key)) key = key[0];
-                if (!locale) return '[' + key + ']';
-                // check if keys exist in locale en file
-                let translation = _.get(locale, key) || translateOptions.default;
-                if (translateOptions.self && !translation && !options.ignore === true && !_.includes(options.ignore, key))
-                    throw new Error('Translation not found for ' + key);
-                return options.translate ? String(translation) : '[' + key + ']';
-            },
-            ctx: key => key ? _.get(context, key) : context
-        }, context);
+    /**
+     * Renders a component with params generated from its params schema, and reports the params that made the render
+     * throw an error or produce invalid HTML. Params are generated with a seeded random number generator, so a
+     * report can be reproduced by fuzzing with the same seed.
+     *
+     * @param {string} name - The component name.
+     * @param {number} [n=10] - The number of param sets to render.
+     * @param {Object} [options] - Render options, such as `ctx` or `caller`, used for every render. Missing
+     *   translations are ignored unless `ignore` is given. Also:
+     *   - `seed` {number}: The random seed, defaults to 1.
+     *   - `context` {Object}: The render context.
+     * @returns {Object} A report with the `component`, `seed`, number of `runs`, and the `failures`, each with the
+     *   `index` of the run, the `params`, the error `message` and any `htmlErrors`.
+     * @throws {Error} If the component doesn't have a params schema.
+     *
+     * @example
+     * const report = render.fuzzComponent('myComponent', 50, { ctx: true });
+     * expect(report.failures).to.deep.equal([]);
+     */
+    const fuzzComponent = (name, n = 10, options = {}) => {
+        const schema = getComponentSchema(name);
+        if (!schema) throw new Error('Component ' + name + ' does not have a params schema');
 
-        let output;
+        const seed = options.seed === undefined ? 1 : options.seed;
+        const random = seededRandom(seed);
+        const renderOptions = Object.assign({ ignore: true }, _.omit(options, ['seed', 'context']), {
+            component: name,
+            validateHtml: true
+        });
 
-        if (options.template) output = nunjucksEnv.render(options.template, context);
-
-        else if (options.string) output = nunjucksEnv.renderString(options.string, context);
-
-        else if (options.component) {
-            const filename = options.component.replace(/([A-Z])/g, l => '-' + l.toLowerCase()) + '/macro.njk';
-            const importString = `{% from "${filename}" import ${options.component} %}`;
-            const args = [];
-            if (options.ctx) args.push('ctx');
-            if (options.params) args.push(JSON.stringify(options.params, null, ' '));
-            const macroString = `${options.component}(${args.join(',')})`;
-            const string = options.caller ?
-                `${importString}{% call ${macroString} %}${options.caller}{% endcall %}` :
-                `${importString}{{ ${macroString} }}`;
-            output = nunjucksEnv.renderString(string, context);
-        }
+        const failures = [];
+        _.times(n, index => {
+            const params = generateParams(schema, random);
+            try {
+                renderDetailed(Object.assign({}, renderOptions, { params }), _.clone(options.context || {}));
+            } catch (err) {
+                failures.push(Object.assign({ index, params, message: err.message }, err.htmlErrors && { htmlErrors: err.htmlErrors }));
+            }
+        });
+
+        return { component: name, seed, runs: n, failures };
+    };
+
+    /**
+     * Renders every combination of params, languages and translation modes, and compares the output, so params
+     * that have no effect on a component can be spotted. Each result is labelled with the params label, language
+     * and mode, eg `hint / cy / realistic`. Params given as an array are labelled by index, eg `params[1]`, and
+     * params given as an object are labelled by key.
+     *
+     * @param {Object} options - Render options, such as `component`, `ctx` or `caller`, used for every render. Also:
+     *   - `params` {Object[]|Object}: The params to render, as an array or an object keyed by label.
+     *   - `locales` {string[]}: The languages to render, when locales are grouped by language.
+     *   - `modes` {string[]}: The translation modes to render, any of `strict`, `realistic` and `pseudo`. Defaults
+     *     to `['strict']`.
+     * @param {Object} [context={}] - The context to pass to every render.
+     * @returns {Object} The matrix, containing:
+     *   - `results` {Object[]}: A result for each combination, with the `label`, the `params` label, `language`
+     *     and `mode`, the rendered `$` document and the `html` of its body as returned by
+     *     `cleanHtml()`.
+     *   - `get` {function}: Returns the result for a label.
+     *   - `groups` {string[][]}: The result labels grouped by identical `html`.
+     *   - `unchangedParams` {string[][]}: Groups of params labels that render identical output for every language
+     *     and mode.
+     *   - `compare` {function}: Compares the results for two labels with `htmlEqual()`.
+     * @throws {Error} If a mode is unknown, or if a render throws an error, with the result label added to the
+     *   message.
+     *
+     * @example
+     * const matrix = render.matrix({
+     *   component: 'myComponent',
+     *   params: { basic: { text: 'Name' }, hint: { text: 'Name', hint: 'Your full name' } },
+     *   locales: ['en', 'cy'],
+     *   modes: ['strict', 'realistic']
+     * });
+     * expect(matrix.unchangedParams).to.deep.equal([]);
+     */
+    const matrix = (options, context = {}) => {
+        const modes = options.modes || ['strict'];
+        modes.forEach(mode => {
+            if (!MATRIX_MODES.includes(mode)) {
+                throw new Error('Unknown mode ' + mode + ', expected one of ' + MATRIX_MODES.join(', '));
+            }
+        });
+
+        const hasParams = options.params !== undefined;
+        const paramsList = Array.isArray(options.params)
+            ? options.params.map((params, index) => ({ label: 'params[' + index + ']', params }))
+            : _.map(options.params || { '': undefined }, (params, label) => ({ label, params }));
+        const locales = options.locales || [undefined];
+        const renderOptions = _.omit(options, ['params', 'locales', 'modes']);
+
+        const results = [];
+        paramsList.forEach(entry => locales.forEach(language => modes.forEach(mode => {
+            const label = [hasParams && entry.label, language, mode].filter(Boolean).join(' / ');
+            let $;
+            try {
+                $ = render(Object.assign({}, renderOptions, hasParams && { params: entry.params }, language && { language }, {
+                    realistic: mode === 'realistic',
+                    pseudo: mode === 'pseudo'
+                }), _.clone(context));
+            } catch (err) {
+                err.message = 'Error rendering ' + label + ': ' + err.message;
+                throw err;
+            }
+            results.push({ label, params: hasParams ? entry.label : undefined, language, mode, $, html: cleanHtml($('body')) });
+        })));
+
+        const get = label => {
+            const result = results.find(item => item.label === label);
+            if (!result) throw new Error('Unknown matrix result ' + label);
+            return result;
+        };
+
+        // groups of items with the same key, in the order each key is first seen
+        const groupInOrder = (items, key) => _.uniq(items.map(key)).map(value => items.filter(item => key(item) === value));
+
+        const groups = groupInOrder(results, result => result.html).map(group => _.map(group, 'label'));
+
+        // params render the same output if their results match for every language and mode
+        const outputs = _.uniq(_.map(results, 'params')).map(params => ({
+            params,
+            html: _.map(_.filter(results, { params }), 'html')
+        }));
+        const unchangedParams = hasParams
+            ? groupInOrder(outputs, output => JSON.stringify(output.html))
+                .filter(group => group.length > 1)
+                .map(group => _.map(group, 'params'))
+            : [];
 
-        else throw new Error('Cannot render!');
+        const compare = (actual, expected, compareOptions) => htmlEqual(get(actual).$, get(expected).$, compareOptions);
 
-        return loadHtml(output);
+        return { results, get, groups, unchangedParams, compare };
     };
 
-    render.dictionary = locale;
+    render.detailed = renderDetailed;
+    render.fuzzComponent = fuzzComponent;
+    render.matrix = matrix;
+    render.environment = nunjucksEnv;
+    render.dictionary = dictionary;
+    render.dictionarySources = dictionarySources;
+    render.localeWarnings = localeWarnings;
+    render.languages = languages;
+    render.translations = translations;
+    render.snapshot = matchSnapshot;
+    render.templateCoverage = coverage;
 
     return render;
 };
@@ -299,6 +998,22 @@ module.exports = {
     renderer,
     loadHtml,
     formatHtml,
-    cleanHtml
+    cleanHtml,
+    htmlEqual,
+    translationReport,
+    enableTranslationReport,
+    formatTranslationReport,
+    matchSnapshot,
+    obsoleteSnapshots,
+    accessibilityCheck,
+    chaiPlugin,
+    describeComponents,
+    formContext,
+    pseudoLocalise,
+    findUntranslated,
+    gallery,
+    validateHtml,
+    templateCoverage,
+    writeTemplateCoverage
 };
 
@@ -0,0 +1,145 @@
+'use strict';
+
+const LABELLABLE = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea';
+
+// describe an element by its opening tag
+const describe = el => {
+    const attributes = Object.keys(el.attribs || {}).map(name => {
+        const value = el.attribs[name];
+        return value === '' ? ' ' + name : ' ' + name + '="' + value + '"';
+    });
+    return '<' + el.name + attributes.join('') + '>';
+};
+
+const hasAccessibleName = ($, el) => {
+    const $el = $(el);
+    if ($el.text().trim()) return true;
+    if (['aria-label', 'aria-labelledby', 'title'].some(name => ($el.attr(name) || '').trim())) return true;
+    return $el.find('img[alt]').toArray().some(img => $(img).attr('alt').trim());
+};
+
+const rules = {
+    'image-alt': $ => $('img:not([alt])').toArray().map(el => ({
+        el,
+        message: 'Image has no alt attribute'
+    })),
+
+    'label': $ => $(LABELLABLE).toArray().filter(el => {
+        const $el = $(el);
+        if ($el.closest('label').length) return false;
+        if ($el.attr('aria-label') || $el.attr('aria-labelledby') || $el.attr('title')) return false;
+        const id = $el.attr('id');
+        return !id || !$('label').toArray().some(label => $(label).attr('for') === id);
+    }).map(el => ({
+        el,
+        message: 'Form control has no associated label'
+    })),
+
+    'duplicate-id': $ => {
+        const seen = {};
+        return $('[id]').toArray().filter(el => {
+            const id = $(el).attr('id');
+            const duplicate = seen[id];
+            seen[id] = true;
+            return duplicate;
+        }).map(el => ({
+            el,
+            message: 'Duplicate id "' + $(el).attr('id') + '"'
+        }));
+    },
+
+    'aria-reference': $ => {
+        const ids = new Set($('[id]').toArray().map(el => $(el).attr('id')));
+        const violations = [];
+        $('[aria-describedby], [aria-labelledby]').each((index, el) => {
+            ['aria-describedby', 'aria-labelledby'].forEach(name => {
+                const value = $(el).attr(name);
+                if (value === undefined) return;
+                value.split(/\s+/).filter(Boolean).forEach(id => {
+                    if (!ids.has(id)) violations.push({ el, message: name + ' references missing id "' + id + '"' });
+                });
+            });
+        });
+        return violations;
+    },
+
+    'heading-order': $ => {
+        let previous;
+        return $('h1, h2, h3, h4, h5, h6').toArray().filter(el => {
+            const level = Number(el.name.substr(1));
+            const skipped = previous && level > previous + 1;
+            previous = level;
+            return skipped;
+        }).map(el => ({
+            el,
+            message: 'Heading level ' + el.name + ' skips a level'
+        }));
+    },
+
+    'empty-link': $ => $('a[href]').toArray().filter(el => !hasAccessibleName($, el)).map(el => ({
+        el,
+        message: 'Link has no text'
+    })),
+
+    'empty-button': $ => $('button').toArray().filter(el => !hasAccessibleName($, el)).map(el => ({
+        el,
+        message: 'Button has no text'
+    })),
+
+    'fieldset-legend': $ => $('fieldset').toArray().filter(el => !$(el).children('legend').length).map(el => ({
+        el,
+        message: 'Fieldset has no legend'
+    }))
+};
+
+/**
+ * Checks a rendered document for common accessibility problems without a browser.
+ *
+ * The following rules are checked:
+ * - `image-alt`: Images without an `alt` attribute.
+ * - `label`: Inputs, selects and textareas without an associated `<label>`, `aria-label` or `aria-labelledby`.
+ * - `duplicate-id`: Elements that share an `id`.
+ * - `aria-reference`: `aria-describedby` or `aria-labelledby` attributes that reference missing ids.
+ * - `heading-order`: Headings that skip a level, eg an `<h3>` directly after an `<h1>`.
+ * - `empty-link`: Links without text or an accessible name.
+ * - `empty-button`: Buttons without text or an accessible name.
+ * - `fieldset-legend`: Fieldsets without a `<legend>`.
+ *
+ * @param {CheerioAPI} $ - A loaded Cheerio document, as returned by `render()`.
+ * @returns {Object[]} A list of violations, each containing the `rule` name, a `message` and the opening tag of
+ *                     the offending `element`.
+ *
+ * @example
+ * const $ = render({ template: 'pages/name.html' });
+ * const violations = accessibilityCheck($);
+ * // [ { rule: 'image-alt', message: 'Image has no alt attribute', element: '<img src="logo.png">' } ]
+ */
+const accessibilityCheck = $ => {
+    const violations = [];
+    Object.keys(rules).forEach(rule => {
+        rules[rule]($).forEach(violation => {
+            violations.push({
+                rule,
+                message: violation.message,
+                element: describe(violation.el)
+            });
+        });
+    });
+    return violations;
+};
+
+/**
+ * Formats accessibility violations as readable text.
+ *
+ * @param {Object[]} violations - Violations returned by `accessibilityCheck()`.
+ * @returns {string} The formatted violations.
+ */
+const formatViolations = violations => violations
+    .map(violation => '  ' + violation.rule + ': ' + violation.message + ' ' + violation.element)
+    .join('\n');
+
+module.exports = {
+    accessibilityCheck,
+    formatViolations,
+    describeElement: describe
+};
@@ -0,0 +1,157 @@
+'use strict';
+
+const { formatHtml, cleanHtml } = require('./html');
+
+const isDocument = obj => typeof obj === 'function' && typeof obj.root === 'function';
+
+const isCheerio = obj => isDocument(obj) || Boolean(obj && obj.cheerio);
+
+// the outer HTML of a document or selection formatted for failure messages
+const fragment = obj => formatHtml({ html: () => isDocument(obj) ? obj.html() : obj.toString() });
+
+const normaliseText = text => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Chai plugin adding DOM assertions for Cheerio documents and selections returned by `render()`.
+ *
+ * - `element(selector)`: Asserts the document or selection contains an element matching the selector. Following
+ *   assertions apply to the matched elements.
+ * - `text(expected)`: Asserts the whitespace normalised text equals, or with `contain` includes, the expected
+ *   string, or matches a regular expression.
+ * - `attr(name, [value])`: Asserts the first element has the attribute, optionally with the given value.
+ * - `class(name)`: Asserts the first element has the class.
+ * - `count(n)`: Asserts the number of elements in the selection.
+ * - `html.equal(expected)`: Asserts the HTML cleaned with `cleanHtml` equals the expected string.
+ *
+ * Failure messages include the relevant HTML formatted with `formatHtml`.
+ *
+ * @param {Object} chai - The chai module.
+ * @param {Object} utils - The chai plugin utilities.
+ *
+ * @example
+ * chai.use(require('hmpo-nunjucks-test').chaiPlugin);
+ *
+ * const $ = render({ component: 'hmpoText', params: { id: 'name' } });
+ * expect($).to.contain.element('.govuk-error-message').with.text('Enter your name');
+ * expect($).to.contain.element('input').with.attr('name', 'name').and.class('govuk-input');
+ * expect($).to.contain.element('li').count(3);
+ * expect($('label')).html.to.equal('Name');
+ */
+const chaiPlugin = (chai, utils) => {
+    const Assertion = chai.Assertion;
+
+    const getSelection = assertion => {
+        const obj = utils.flag(assertion, 'object');
+        if (!isCheerio(obj)) throw new TypeError('Expected a Cheerio document or selection');
+        return obj;
+    };
+
+    Assertion.addMethod('element', function (selector) {
+        const obj = getSelection(this);
+        const found = isDocument(obj) ? obj(selector) : obj.find(selector);
+
+        this.assert(
+            found.length > 0,
+            'expected HTML to contain element ' + selector + ':\n' + fragment(obj),
+            'expected HTML not to contain element ' + selector + ':\n' + fragment(found)
+        );
+
+        // later assertions in the chain apply to the matched elements
+        utils.flag(this, 'object', found);
+        utils.flag(this, 'contains', false);
+    });
+
+    Assertion.addMethod('text', function (expected) {
+        const obj = getSelection(this);
+        const actual = normaliseText(obj.text());
+
+        let result;
+        let description;
+        if (expected instanceof RegExp) {
+            result = expected.test(actual);
+            description = 'match';
+        } else if (utils.flag(this, 'contains')) {
+            result = actual.includes(expected);
+            description = 'contain';
+        } else {
+            result = actual === expected;
+            description = 'equal';
+        }
+
+        this.assert(
+            result,
+            'expected text to ' + description + ' #{exp} but got #{act}:\n' + fragment(obj),
+            'expected text not to ' + description + ' #{exp}:\n' + fragment(obj),
+            expected,
+            actual
+        );
+    });
+
+    Assertion.addMethod('attr', function (name, value) {
+        const obj = getSelection(this);
+        const actual = obj.attr(name);
+
+        if (value === undefined || utils.flag(this, 'negate') && actual === undefined) {
+            return this.assert(
+                actual !== undefined,
+                'expected element to have attribute ' + name + ':\n' + fragment(obj),
+                'expected element not to have attribute ' + name + ':\n' + fragment(obj)
+            );
+        }
+
+        this.assert(
+            actual === value,
+            'expected attribute ' + name + ' to equal #{exp} but got #{act}:\n' + fragment(obj),
+            'expected attribute ' + name + ' not to equal #{exp}:\n' + fragment(obj),
+            value,
+            actual
+        );
+    });
+
+    Assertion.addMethod('class', function (name) {
+        const obj = getSelection(this);
+
+        this.assert(
+            obj.hasClass(name),
+            'expected element to have class ' + name + ':\n' + fragment(obj),
+            'expected element not to have class ' + name + ':\n' + fragment(obj)
+        );
+    });
+
+    Assertion.addMethod('count', function (n) {
+        const obj = getSelection(this);
+
+        this.assert(
+            obj.length === n,
+            'expected #{exp} elements but found #{act}:\n' + fragment(obj),
+            'expected not to find #{exp} elements:\n' + fragment(obj),
+            n,
+            obj.length
+        );
+    });
+
+    Assertion.addProperty('html', function () {
+        getSelection(this);
+        utils.flag(this, 'html', true);
+    });
+
+    const overwriteEqual = _super => function (expected) {
+        if (!utils.flag(this, 'html')) return _super.apply(this, arguments);
+
+        const obj = getSelection(this);
+        const actual = cleanHtml(isDocument(obj) ? obj.root() : obj);
+
+        this.assert(
+            actual === expected,
+            'expected HTML to equal #{exp} but got #{act}:\n' + fragment(obj),
+            'expected HTML not to equal #{exp}',
+            expected,
+            actual,
+            true
+        );
+    };
+
+    ['equal', 'equals', 'eq'].forEach(name => Assertion.overwriteMethod(name, overwriteEqual));
+};
+
+module.exports = chaiPlugin;
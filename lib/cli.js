@@ -0,0 +1,234 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const { parseArgs } = require('util');
+const _ = require('lodash');
+const yaml = require('js-yaml');
+const { renderer, formatHtml } = require('../index');
+const { gallery } = require('./gallery');
+
+const USAGE = `Usage: hmpo-nunjucks-test --views <dir> (--template <name> | --string <string> | --component <name>) [options]
+       hmpo-nunjucks-test --views <dir> --gallery [--port <port>] [--locales <path>]
+
+Renders a template, string or component and prints the formatted HTML, or starts a component gallery server.
+
+Options:
+  --views <dir>        A views directory, can be given more than once
+  --locales <path>     A locale file or directory, can be given more than once. Prefix the path with a
+                       language to group locales by language, eg --locales en=locales/en --locales cy=locales/cy
+  --language <lang>    The language to render when locales are grouped by language
+  --realistic          Use the realistic translation function
+  --template <name>    The template to render
+  --string <string>    The Nunjucks string to render
+  --component <name>   The component to render
+  --params <file>      A JSON or YAML file of component params
+  --context <file>     A JSON or YAML file of render context
+  --ctx                Pass the ctx function to the component
+  --caller <string>    The caller body to pass to the component
+  --watch              Render again when view, locale, params or context files change
+  --gallery            Start a server showing every component with the examples from its fixtures
+  --port <port>        The gallery server port, defaults to 3000
+  --help               Show this help`;
+
+const OPTIONS = {
+    views: { type: 'string', multiple: true },
+    locales: { type: 'string', multiple: true },
+    language: { type: 'string' },
+    realistic: { type: 'boolean' },
+    template: { type: 'string' },
+    string: { type: 'string' },
+    component: { type: 'string' },
+    params: { type: 'string' },
+    context: { type: 'string' },
+    ctx: { type: 'boolean' },
+    caller: { type: 'string' },
+    watch: { type: 'boolean' },
+    gallery: { type: 'boolean' },
+    port: { type: 'string', default: '3000' },
+    help: { type: 'boolean' }
+};
+
+// how long to wait for more file changes before rendering again
+const WATCH_DELAY = 100;
+
+/**
+ * Parses and checks the command line arguments.
+ *
+ * @param {string[]} argv - The arguments, without the node and script paths.
+ * @returns {Object} The parsed options.
+ * @throws {Error} If an option is unknown or required options are missing.
+ */
+const parseArguments = argv => {
+    const { values } = parseArgs({ args: argv, options: OPTIONS });
+    if (values.help) return values;
+    if (!values.views) throw new Error('--views is required');
+    if (values.gallery) {
+        const port = Number(values.port);
+        if (!/^\d+$/.test(values.port) || port > 65535) throw new Error('--port must be a number from 0 to 65535');
+        return values;
+    }
+    const modes = ['template', 'string', 'component'].filter(mode => values[mode] !== undefined);
+    if (modes.length !== 1) throw new Error('One of --template, --string or --component is required');
+    return values;
+};
+
+// locale paths prefixed with a language, eg cy=locales/cy, are grouped by language
+const parseLocales = locales => {
+    if (!locales) return;
+    const entries = locales.map(locale => {
+        const match = locale.match(/^([\w-]+)=(.+)$/);
+        return match ? { language: match[1], file: path.resolve(match[2]) } : { file: path.resolve(locale) };
+    });
+    if (!entries.every(entry => entry.language)) return entries.map(entry => entry.file);
+    return entries.reduce((grouped, { language, file }) => {
+        grouped[language] = (grouped[language] || []).concat(file);
+        return grouped;
+    }, {});
+};
+
+const readDataFile = file => {
+    const text = fs.readFileSync(file).toString();
+    try {
+        return file.endsWith('.json') ? JSON.parse(text) : yaml.load(text);
+    } catch (e) {
+        throw new Error('Error loading data file ' + file + ': ' + e.message);
+    }
+};
+
+/**
+ * Renders the template, string or component from the parsed arguments with a new renderer, so changed views and
+ * locales are always loaded. Missing translations are ignored.
+ *
+ * @param {Object} args - The parsed arguments.
+ * @returns {string} The `formatHtml` output. Templates are formatted as a whole document, strings and components
+ *                   as the contents of the body.
+ */
+const preview = args => {
+    const render = renderer(
+        args.views.map(dir => path.resolve(dir)),
+        parseLocales(args.locales),
+        undefined,
+        undefined,
+        Boolean(args.realistic)
+    );
+
+    const options = { ignore: true };
+    if (args.template !== undefined) options.template = args.template;
+    else if (args.string !== undefined) options.string = args.string;
+    else options.component = args.component;
+    if (args.params) options.params = readDataFile(args.params);
+    if (args.ctx) options.ctx = true;
+    if (args.caller !== undefined) options.caller = args.caller;
+    if (args.language) options.language = args.language;
+
+    const context = args.context ? readDataFile(args.context) : {};
+
+    const $ = render(options, context);
+    return formatHtml(options.template ? $ : $('body'));
+};
+
+/**
+ * Calls `print` now and again whenever a view, locale, params or context file changes.
+ *
+ * @param {Object} args - The parsed arguments.
+ * @param {function} print - Renders and prints the output.
+ * @returns {function} A function that stops watching.
+ * @throws {Error} If a file or directory to watch doesn't exist.
+ */
+const watch = (args, print) => {
+    let timer;
+    const changed = () => {
+        clearTimeout(timer);
+        timer = setTimeout(print, WATCH_DELAY);
+    };
+
+    const locales = _.flatten(_.values(parseLocales(args.locales)));
+    const files = [].concat(args.views, locales, args.params || [], args.context || []);
+    const watchers = [];
+    const stop = () => {
+        clearTimeout(timer);
+        watchers.forEach(watcher => watcher.close());
+    };
+
+    files.forEach(file => {
+        try {
+            watchers.push(fs.watch(file, { recursive: fs.statSync(file).isDirectory() }, changed));
+        } catch (e) {
+            stop();
+            throw new Error('Cannot watch ' + file + ': ' + e.message);
+        }
+    });
+
+    print();
+
+    return stop;
+};
+
+/**
+ * Runs the `hmpo-nunjucks-test` command.
+ *
+ * @param {string[]} argv - The arguments, without the node and script paths.
+ * @param {Object} [streams] - `stdout` and `stderr` streams to write to, defaulting to the process streams, and an
+ *                             `exit` function called with the exit code if the `--gallery` server fails to start,
+ *                             defaulting to setting `process.exitCode`.
+ * @returns {number|function} The exit code, or a function that stops watching in `--watch` mode or stops the
+ *                            server in `--gallery` mode. Returns 1 if a file to watch doesn't exist.
+ */
+const run = (argv, { stdout = process.stdout, stderr = process.stderr, exit = code => { process.exitCode = code; } } = {}) => {
+    let args;
+    try {
+        args = parseArguments(argv);
+    } catch (e) {
+        stderr.write(e.message + '\n\n' + USAGE + '\n');
+        return 2;
+    }
+
+    if (args.help) {
+        stdout.write(USAGE + '\n');
+        return 0;
+    }
+
+    const print = () => {
+        try {
+            stdout.write(preview(args) + '\n');
+            return 0;
+        } catch (e) {
+            stderr.write(e.message + '\n');
+            return 1;
+        }
+    };
+
+    if (args.gallery) {
+        const views = args.views.map(dir => path.resolve(dir));
+        const server = gallery(views, { locales: parseLocales(args.locales) });
+        // errors starting the server, such as the port being in use, are reported when they happen
+        server.on('error', e => {
+            stderr.write(e.message + '\n');
+            exit(1);
+        });
+        server.listen(Number(args.port), () => {
+            stdout.write('Component gallery running at http://localhost:' + server.address().port + '/\n');
+        });
+        return () => server.close();
+    }
+
+    if (!args.watch) return print();
+
+    try {
+        return watch(args, () => {
+            if (stdout.isTTY) stdout.write('\x1Bc');
+            print();
+        });
+    } catch (e) {
+        stderr.write(e.message + '\n');
+        return 1;
+    }
+};
+
+module.exports = {
+    parseArguments,
+    preview,
+    watch,
+    run
+};
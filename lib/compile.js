@@ -0,0 +1,35 @@
+'use strict';
+
+const nunjucks = require('nunjucks');
+const transformer = require('nunjucks/src/transformer');
+
+/**
+ * Compiles template source in the same way as Nunjucks, allowing the parsed template to be changed before it is
+ * compiled.
+ *
+ * @param {string} src - The template source.
+ * @param {Environment} env - The Nunjucks environment the template belongs to.
+ * @param {string} name - The template path, used in error messages.
+ * @param {function} [instrument] - A function that is passed the parsed `Root` node and can change it in place.
+ * @param {Object} [compilers] - Compiler methods for node types added by `instrument`, keyed by method name, eg
+ *                               `compileMyNode`.
+ * @returns {Object} The compiled template properties, for use as `{ type: 'code', obj }` template source.
+ */
+const compileTemplate = (src, env, name, instrument, compilers) => {
+    const extensions = env.extensionsList;
+    const processedSrc = extensions
+        .map(ext => ext.preprocess)
+        .filter(Boolean)
+        .reduce((s, preprocess) => preprocess(s), src);
+
+    const ast = nunjucks.parser.parse(processedSrc, extensions, env.opts);
+    if (instrument) instrument(ast, processedSrc);
+
+    const compiler = Object.assign(new nunjucks.compiler.Compiler(name, env.opts.throwOnUndefined), compilers);
+    compiler.compile(transformer.transform(ast, env.asyncFilters, name));
+    return new Function(compiler.getCode())();
+};
+
+module.exports = {
+    compileTemplate
+};
@@ -0,0 +1,249 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const _ = require('lodash');
+const yaml = require('js-yaml');
+
+const SCHEMA_FILES = ['params.schema.json', 'params.schema.yaml', 'params.schema.yml'];
+
+// the most items, properties or characters added beyond the minimum when generating params
+const MAX_EXTRA_ITEMS = 3;
+const MAX_EXTRA_LENGTH = 12;
+
+// the range used for numbers without a minimum or maximum, starting from the other bound if only one is given
+const NUMBER_RANGE = 1000;
+
+// characters for generated strings, including HTML special characters and non-ASCII text
+const CHARACTERS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 -_.,<>&"\'/éŵ€✓';
+
+const readSchema = file => {
+    const text = fs.readFileSync(file).toString();
+    try {
+        return file.endsWith('.json') ? JSON.parse(text) : yaml.load(text);
+    } catch (e) {
+        throw new Error('Error loading params schema ' + file + ': ' + e.message);
+    }
+};
+
+/**
+ * Loads the `params.schema.json`, `params.schema.yaml` or `params.schema.yml` file next to a component macro.
+ *
+ * @param {string} macroFile - The path to the component's `macro.njk` file.
+ * @returns {Object|undefined} The schema, or undefined if the component doesn't have a schema file.
+ */
+const loadComponentSchema = macroFile => {
+    const dir = path.dirname(macroFile);
+    const file = SCHEMA_FILES.map(name => path.join(dir, name)).find(name => fs.existsSync(name));
+    return file && readSchema(file);
+};
+
+const typeOf = value => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer') || (type === 'object' && _.isPlainObject(value));
+};
+
+const schemaType = schema => {
+    if (schema.type) return schema.type;
+    if (schema.properties) return 'object';
+    if (schema.items) return 'array';
+};
+
+const childPath = (parent, key) => typeof key === 'number' ? parent + '[' + key + ']' : parent + '.' + key;
+
+/**
+ * Validates component params against a JSON schema. This supports the parts of JSON Schema used to describe
+ * component params: `type`, `enum`, `const`, `properties`, `required`, `additionalProperties`, `items`,
+ * `minItems`, `maxItems`, `minLength`, `maxLength`, `pattern`, `minimum`, `maximum`, `anyOf` and `oneOf`.
+ *
+ * @param {Object} schema - The params schema.
+ * @param {*} params - The params to validate.
+ * @returns {Object} The `errors` as `{ path, message }` objects, and the paths of `unknownKeys` that aren't in the
+ *                   `properties` of an object schema without `additionalProperties`.
+ */
+const validateParams = (schema, params) => {
+    const errors = [];
+    const unknownKeys = [];
+
+    const validate = (schema, value, at) => {
+        const error = message => errors.push({ path: at, message });
+
+        if (value === undefined) return;
+
+        if (schema.anyOf || schema.oneOf) {
+            const subschemas = schema.anyOf || schema.oneOf;
+            const matches = subschemas.filter(subschema => validateParams(subschema, value).errors.length === 0).length;
+            if (schema.anyOf && !matches) error('should match a schema in anyOf');
+            if (schema.oneOf && matches !== 1) error('should match exactly one schema in oneOf');
+        }
+
+        const type = schemaType(schema);
+        if (type && !_.castArray(type).some(name => matchesType(value, name))) {
+            return error('should be ' + _.castArray(type).join(' or ') + ' but is ' + typeOf(value));
+        }
+        if (schema.enum && !schema.enum.some(option => _.isEqual(option, value))) {
+            error('should be one of ' + schema.enum.map(option => JSON.stringify(option)).join(', '));
+        }
+        if (schema.const !== undefined && !_.isEqual(schema.const, value)) {
+            error('should be ' + JSON.stringify(schema.const));
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                error('should be at least ' + schema.minLength + ' characters');
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                error('should be at most ' + schema.maxLength + ' characters');
+            }
+            if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) error('should match ' + schema.pattern);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) error('should be at least ' + schema.minimum);
+            if (schema.maximum !== undefined && value > schema.maximum) error('should be at most ' + schema.maximum);
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                error('should have at least ' + schema.minItems + ' items');
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                error('should have at most ' + schema.maxItems + ' items');
+            }
+            if (schema.items) value.forEach((item, index) => validate(schema.items, item, childPath(at, index)));
+        }
+
+        if (_.isPlainObject(value)) {
+            _.castArray(schema.required || []).forEach(key => {
+                if (value[key] === undefined) error('should have required property ' + key);
+            });
+            _.forEach(value, (child, key) => {
+                const keyPath = childPath(at, key);
+                if (schema.properties && schema.properties[key]) return validate(schema.properties[key], child, keyPath);
+                if (schema.additionalProperties === false) return errors.push({ path: keyPath, message: 'is not allowed' });
+                if (_.isPlainObject(schema.additionalProperties)) return validate(schema.additionalProperties, child, keyPath);
+                if (schema.properties && schema.additionalProperties === undefined) unknownKeys.push(keyPath);
+            });
+        }
+    };
+
+    validate(schema, params, 'params');
+    return { errors, unknownKeys };
+};
+
+/**
+ * Formats param errors as readable text.
+ *
+ * @param {Object[]} errors - Errors returned by `validateParams()`.
+ * @returns {string} The formatted errors.
+ */
+const formatParamErrors = errors => errors.map(error => '  ' + error.path + ' ' + error.message).join('\n');
+
+/**
+ * Creates a seeded random number generator, so generated params can be reproduced.
+ *
+ * @param {number} seed - The seed.
+ * @returns {function} A function returning numbers from 0 up to 1.
+ */
+const seededRandom = seed => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Generates params that are valid for a schema. Strings with a `pattern` are chosen from the schema's `examples`
+ * or `default`, as values can't be generated from a pattern.
+ *
+ * @param {Object} schema - The params schema.
+ * @param {function} random - A function returning numbers from 0 up to 1, such as one from `seededRandom()`.
+ * @returns {*} The generated params.
+ * @throws {Error} If a value can't be generated for part of the schema.
+ */
+const generateParams = (schema, random) => {
+    const integer = (min, max) => min + Math.floor(random() * (max - min + 1));
+    const pick = list => list[integer(0, list.length - 1)];
+
+    const number = (schema, integerOnly) => {
+        let min = schema.minimum;
+        let max = schema.maximum;
+        if (min === undefined) min = max === undefined ? -NUMBER_RANGE : Math.min(-NUMBER_RANGE, max - NUMBER_RANGE);
+        if (max === undefined) max = Math.max(NUMBER_RANGE, min + NUMBER_RANGE);
+        // boundary values are chosen more often as they are the most likely to find problems
+        if (random() < 0.3) return pick([min, max].concat(min <= 0 && max >= 0 ? [0] : []));
+        const value = min + random() * (max - min);
+        return integerOnly ? Math.min(max, Math.max(min, Math.round(value))) : value;
+    };
+
+    const generators = {
+        string: (schema, at, examples) => {
+            if (schema.pattern) {
+                const matching = examples.filter(example => new RegExp(schema.pattern, 'u').test(example));
+                if (!matching.length) {
+                    throw new Error('Cannot generate a string for ' + at + ' matching ' + schema.pattern +
+                        ', add examples to the schema');
+                }
+                return pick(matching);
+            }
+            const minLength = schema.minLength || 0;
+            const maxLength = Math.min(_.defaultTo(schema.maxLength, Infinity), minLength + MAX_EXTRA_LENGTH);
+            const characters = Array.from(CHARACTERS);
+            return _.times(integer(minLength, maxLength), () => pick(characters)).join('');
+        },
+        number: schema => number(schema, false),
+        integer: schema => number(schema, true),
+        boolean: () => random() < 0.5,
+        null: () => null,
+        array: (schema, at) => {
+            const minItems = schema.minItems || 0;
+            const maxItems = Math.min(_.defaultTo(schema.maxItems, Infinity), minItems + MAX_EXTRA_ITEMS);
+            return _.times(integer(minItems, maxItems), index => generate(schema.items || {}, childPath(at, index)));
+        },
+        object: (schema, at) => {
+            const required = _.castArray(schema.required || []);
+            const result = {};
+            _.forEach(schema.properties, (property, key) => {
+                if (required.includes(key) || random() < 0.5) result[key] = generate(property, childPath(at, key));
+            });
+            return result;
+        }
+    };
+
+    const generate = (schema, at) => {
+        const examples = [].concat(schema.examples || [], schema.default === undefined ? [] : [schema.default]);
+
+        if (schema.const !== undefined) return _.cloneDeep(schema.const);
+        if (schema.enum) return _.cloneDeep(pick(schema.enum));
+        if (schema.anyOf || schema.oneOf) return generate(pick(schema.anyOf || schema.oneOf), at);
+        if (examples.length && random() < 0.5) return _.cloneDeep(pick(examples));
+
+        const type = schemaType(schema) ? pick(_.castArray(schemaType(schema))) : pick(['string', 'number', 'boolean']);
+        if (!generators[type]) {
+            throw new Error('Cannot generate a value for ' + at + ' of type ' + type + ', expected one of ' +
+                Object.keys(generators).join(', '));
+        }
+        return generators[type](schema, at, examples);
+    };
+
+    return generate(schema, 'params');
+};
+
+module.exports = {
+    loadComponentSchema,
+    validateParams,
+    formatParamErrors,
+    seededRandom,
+    generateParams
+};
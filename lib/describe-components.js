@@ -0,0 +1,165 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const _ = require('lodash');
+const yaml = require('js-yaml');
+const { cleanHtml } = require('./html');
+
+const FIXTURE_FILES = ['fixtures.yaml', 'fixtures.yml', 'fixtures.json'];
+
+const RENDER_OPTIONS = ['params', 'caller', 'ctx', 'ignore', 'translate', 'language', 'realistic', 'pseudo'];
+
+const findMacros = dir => _.flatMap(fs.readdirSync(dir, { withFileTypes: true }), entry => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return findMacros(file);
+    return entry.name === 'macro.njk' ? [file] : [];
+});
+
+// the name of the first macro defined in a macro file
+const MACRO_NAME = /{%-?\s*macro\s+([A-Za-z_$][\w$]*)\s*\(/;
+
+const readMacroName = file => {
+    const match = MACRO_NAME.exec(fs.readFileSync(file).toString());
+    return match && match[1];
+};
+
+const readFixtures = file => {
+    const text = fs.readFileSync(file).toString();
+    try {
+        return file.endsWith('.json') ? JSON.parse(text) : yaml.load(text);
+    } catch (e) {
+        throw new Error('Error loading fixtures file ' + file + ': ' + e.message);
+    }
+};
+
+/**
+ * Finds every component under a views directory, with the fixtures from the `fixtures.yaml`, `fixtures.yml` or
+ * `fixtures.json` file next to its `macro.njk` if there is one.
+ *
+ * The fixtures file contains a list of fixtures, or an object with a `component` name and a `fixtures` list. The
+ * component name defaults to the name of the macro defined in `macro.njk`, eg `govukButton` for
+ * `govuk/components/button/macro.njk`, or the camel cased name of the directory containing the macro if no macro
+ * is found.
+ *
+ * @param {string} viewsDir - The directory to search for `macro.njk` files.
+ * @returns {Object[]} A list of `{ component, macro, file, fixtures }` objects. `file` is undefined and `fixtures`
+ *                     is empty for components without a fixtures file.
+ */
+const findComponents = viewsDir => findMacros(viewsDir).sort().map(macro => {
+    const dir = path.dirname(macro);
+    const file = FIXTURE_FILES.map(name => path.join(dir, name)).find(name => fs.existsSync(name));
+
+    let data = file ? readFixtures(file) : {};
+    if (Array.isArray(data)) data = { fixtures: data };
+
+    return {
+        component: data.component || readMacroName(macro) || _.camelCase(path.basename(dir)),
+        macro,
+        file,
+        fixtures: data.fixtures || []
+    };
+});
+
+/**
+ * Finds the components under a views directory that have a fixtures file next to their `macro.njk`. See
+ * `findComponents()` for the fixtures file format.
+ *
+ * @param {string} viewsDir - The directory to search for `macro.njk` files.
+ * @returns {Object[]} A list of `{ component, file, fixtures }` objects.
+ */
+const componentFixtures = viewsDir => findComponents(viewsDir)
+    .filter(({ file }) => file)
+    .map(({ component, file, fixtures }) => ({ component, file, fixtures }));
+
+const checkSelector = ($, selector, expected) => {
+    const found = $(selector);
+
+    if (expected === null || expected === false) expected = { count: 0 };
+    else if (typeof expected === 'number') expected = { count: expected };
+    else if (typeof expected === 'string') expected = { text: expected };
+
+    if (expected.count !== undefined) {
+        assert.strictEqual(found.length, expected.count, 'Expected ' + expected.count + ' elements matching ' + selector);
+    } else {
+        assert.ok(found.length, 'Expected an element matching ' + selector);
+    }
+    if (expected.text !== undefined) {
+        assert.strictEqual(found.text().replace(/\s+/g, ' ').trim(), expected.text, 'Text of ' + selector);
+    }
+    if (expected.html !== undefined) {
+        assert.strictEqual(cleanHtml(found), expected.html.trim(), 'HTML of ' + selector);
+    }
+    _.forEach(expected.attr, (value, name) => {
+        assert.strictEqual(found.attr(name), value, 'Attribute ' + name + ' of ' + selector);
+    });
+    _.castArray(expected.class || []).forEach(name => {
+        assert.ok(found.hasClass(name), 'Expected ' + selector + ' to have class ' + name);
+    });
+};
+
+/**
+ * Renders a component fixture and checks the result against its expected HTML and selectors.
+ *
+ * @param {function} render - A render function returned by `renderer()`.
+ * @param {string} component - The name of the component to render.
+ * @param {Object} fixture - The fixture, containing the render options (`params`, `caller`, `ctx`, `ignore`,
+ *                           `translate`, `language` and `realistic`), the render `context`, and the expected
+ *                           `html` of the body and/or `selectors`.
+ * @returns {CheerioAPI} The rendered document.
+ * @throws {AssertionError} If the rendered output does not match the fixture.
+ */
+const checkFixture = (render, component, fixture) => {
+    const options = Object.assign({ component }, _.pick(fixture, RENDER_OPTIONS));
+    const $ = render(options, _.clone(fixture.context || {}));
+
+    if (fixture.html !== undefined) {
+        assert.strictEqual(cleanHtml($('body')), fixture.html.trim());
+    }
+    _.forEach(fixture.selectors, (expected, selector) => checkSelector($, selector, expected));
+
+    return $;
+};
+
+/**
+ * Generates a mocha test for every component fixture found under a views directory.
+ *
+ * A `describe` block is created for each component, with an `it` for each fixture. See `componentFixtures()`
+ * and `checkFixture()` for the fixture format.
+ *
+ * @param {string} viewsDir - The directory to search for `macro.njk` files and fixtures.
+ * @param {Object} [options] - Options for rendering the components.
+ * @param {function} [options.render] - The render function to use. Defaults to a renderer for `viewsDir`.
+ * @param {string[]|Object} [options.locales] - The locales for the default renderer.
+ * @param {Object} [options.globals] - The globals for the default renderer.
+ * @param {Object} [options.filters] - The filters for the default renderer.
+ *
+ * @example
+ * describeComponents(path.resolve(__dirname, '..', 'components'), {
+ *     locales: [ path.resolve(__dirname, '..', 'locales') ]
+ * });
+ */
+const describeComponents = (viewsDir, options = {}) => {
+    const { renderer } = require('../index');
+    const { describe, it } = global;
+    const render = options.render || renderer([viewsDir], options.locales, options.globals, options.filters);
+
+    componentFixtures(viewsDir).forEach(({ component, fixtures }) => {
+        describe(component, () => {
+            fixtures.forEach((fixture, index) => {
+                it(fixture.name || 'fixture ' + (index + 1), () => {
+                    checkFixture(render, component, fixture);
+                });
+            });
+        });
+    });
+};
+
+module.exports = {
+    RENDER_OPTIONS,
+    findComponents,
+    componentFixtures,
+    checkFixture,
+    describeComponents
+};
@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * Compares two strings line by line and formats the differences.
+ *
+ * Lines only in `expected` are prefixed with `- `, lines only in `actual` with `+ ` and unchanged lines with two
+ * spaces. Runs of unchanged lines further than `context` lines from a change are collapsed to `...`.
+ *
+ * @param {string} expected - The expected text.
+ * @param {string} actual - The actual text.
+ * @param {number} [context=3] - The number of unchanged lines to show around each change.
+ * @returns {string} The formatted diff, or an empty string if the texts are the same.
+ *
+ * @example
+ * lineDiff('<p>\na\n</p>', '<p>\nb\n</p>');
+ * // '  <p>\n- a\n+ b\n  </p>'
+ */
+const lineDiff = (expected, actual, context = 3) => {
+    if (expected === actual) return '';
+
+    const a = expected.split('\n');
+    const b = actual.split('\n');
+
+    // longest common subsequence table
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            lines.push({ type: ' ', text: a[i++] });
+            j++;
+        } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            lines.push({ type: '-', text: a[i++] });
+        } else {
+            lines.push({ type: '+', text: b[j++] });
+        }
+    }
+
+    const changed = lines.map((line, index) => line.type !== ' ' ? index : -1).filter(index => index >= 0);
+    const near = index => changed.some(c => Math.abs(c - index) <= context);
+
+    const output = [];
+    lines.forEach((line, index) => {
+        if (line.type !== ' ' || near(index)) return output.push(line.type + ' ' + line.text);
+        if (output[output.length - 1] !== '...') output.push('...');
+    });
+    return output.join('\n');
+};
+
+module.exports = {
+    lineDiff
+};
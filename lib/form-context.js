@@ -0,0 +1,46 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Builds the form page context that hmpo-form-wizard puts in `res.locals` and hmpo-components macros read, from a
+ * short spec.
+ *
+ * @param {Object} [spec]
+ * @param {Object} [spec.fields] - Field configs keyed by field name, as in the form wizard `fields` option. A
+ *                                 string is used as the field `type`, eg `{ name: 'text' }`.
+ * @param {Object} [spec.values] - The field values keyed by field name.
+ * @param {Object} [spec.errors] - Errors keyed by field name. A string is used as the validator `type`, eg
+ *                                 `{ name: 'required' }`, or an object can give the `type`, `args`, `message` and
+ *                                 any other error properties.
+ * @param {Object} [spec.errorValues] - The submitted values shown instead of `values` for fields with errors.
+ * @returns {Object} A context containing `options.fields`, `values`, `errorValues`, `errors` keyed by field name and
+ *                   the `errorlist` array, in field order.
+ *
+ * @example
+ * const $ = render({ component: 'hmpoText', params: { id: 'name' }, ctx: true }, formContext({
+ *     fields: { name: { type: 'text', validate: 'required' } },
+ *     errors: { name: 'required' }
+ * }));
+ */
+const formContext = ({ fields = {}, values = {}, errors = {}, errorValues = {} } = {}) => {
+    fields = _.mapValues(fields, field => typeof field === 'string' ? { type: field } : field);
+
+    const errorlist = _.map(errors, (error, key) => {
+        if (typeof error === 'string') error = { type: error };
+        const errorGroup = fields[key] && fields[key].errorGroup;
+        return Object.assign({ key }, errorGroup && { errorGroup }, error);
+    });
+
+    return {
+        options: { fields },
+        values,
+        errorValues,
+        errors: _.keyBy(errorlist, 'key'),
+        errorlist
+    };
+};
+
+module.exports = {
+    formContext
+};
@@ -0,0 +1,152 @@
+'use strict';
+
+const http = require('http');
+const path = require('path');
+const _ = require('lodash');
+const { formatHtml } = require('./html');
+const { RENDER_OPTIONS, findComponents } = require('./describe-components');
+
+const MODES = ['strict', 'realistic', 'pseudo'];
+
+const STYLES = `
+body { font-family: sans-serif; margin: 20px; }
+nav a, .options a { margin-right: 10px; }
+.options strong { margin-right: 10px; }
+.example { display: flex; gap: 20px; margin-bottom: 30px; }
+.example > * { flex: 1; min-width: 0; }
+iframe { width: 100%; height: 300px; border: 1px solid #b1b4b6; }
+pre { background: #f3f2f1; padding: 10px; overflow: auto; white-space: pre-wrap; }
+.error { color: #d4351c; }
+`;
+
+const page = (title, body) => '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">' +
+    '<title>' + _.escape(title) + '</title><style>' + STYLES + '</style></head><body>' +
+    '<nav><a href="/">All components</a></nav><h1>' + _.escape(title) + '</h1>' + body + '</body></html>';
+
+const link = (href, text, current) => current ?
+    '<strong>' + _.escape(text) + '</strong>' :
+    '<a href="' + _.escape(href) + '">' + _.escape(text) + '</a>';
+
+const componentUrl = (component, query) => {
+    const search = new URLSearchParams(_.omitBy(query, _.isUndefined)).toString();
+    return '/components/' + encodeURIComponent(component) + (search ? '?' + search : '');
+};
+
+/**
+ * Creates a local HTTP server that shows every component found under the views, rendered with the params from
+ * its fixtures file next to the `formatHtml` source. The language and the strict, realistic or pseudo translate
+ * mode can be switched on each component page. Components without fixtures are rendered with no params. The
+ * default renderer loads each component from the `macro.njk` file it was found in.
+ *
+ * @param {string|string[]} views - The views directories to search for `macro.njk` files.
+ * @param {Object} [options] - Options for rendering the components.
+ * @param {function} [options.render] - The render function to use. Defaults to a renderer for `views`.
+ * @param {string[]|Object} [options.locales] - The locales for the default renderer.
+ * @param {Object} [options.globals] - The globals for the default renderer.
+ * @param {Object} [options.filters] - The filters for the default renderer.
+ * @returns {http.Server} The server, which has not been started.
+ *
+ * @example
+ * gallery(path.resolve(__dirname, 'components'), { locales }).listen(3000);
+ */
+const gallery = (views, options = {}) => {
+    const { renderer } = require('../index');
+    const dirs = _.castArray(views);
+
+    // each component with the path of its macro relative to the views directory it was found in
+    const components = () => _.uniqBy(_.flatMap(dirs, dir => findComponents(dir).map(found => Object.assign({
+        path: path.relative(dir, found.macro).split(path.sep).join('/')
+    }, found))), 'component');
+
+    // the default renderer loads each component from the macro file it was found in
+    const componentResolver = name => {
+        const found = components().find(({ component }) => component === name);
+        return found ? found.path : [];
+    };
+    const render = options.render ||
+        renderer(dirs, options.locales, options.globals, options.filters, { componentResolver });
+
+    const indexPage = () => {
+        const items = components().map(({ component, fixtures }) =>
+            '<li>' + link(componentUrl(component), component) +
+            ' (' + fixtures.length + ' ' + (fixtures.length === 1 ? 'example' : 'examples') + ')</li>');
+        return page('Components', items.length ? '<ul>' + items.join('') + '</ul>' : '<p>No components found</p>');
+    };
+
+    const renderExample = (component, fixture, query) => {
+        const renderOptions = Object.assign({ component }, _.pick(fixture, RENDER_OPTIONS));
+        if (query.language) renderOptions.language = query.language;
+        renderOptions.realistic = query.mode === 'realistic';
+        renderOptions.pseudo = query.mode === 'pseudo';
+
+        let result;
+        try {
+            const $ = render(renderOptions, _.clone(fixture.context || {}));
+            result = '<iframe title="' + _.escape(fixture.name) + '" srcdoc="' + _.escape($.html()) + '"></iframe>' +
+                '<pre>' + _.escape(formatHtml($('body'))) + '</pre>';
+        } catch (e) {
+            result = '<pre class="error">' + _.escape(e.message) + '</pre>';
+        }
+
+        return '<h2>' + _.escape(fixture.name) + '</h2><div class="example">' + result + '</div>';
+    };
+
+    const componentPage = (name, query) => {
+        const found = components().find(({ component }) => component === name);
+        if (!found) return;
+
+        const mode = MODES.includes(query.mode) ? query.mode : 'strict';
+        const language = render.languages.includes(query.language) ? query.language : undefined;
+
+        const modeLinks = MODES.map(value =>
+            link(componentUrl(name, { mode: value, language }), value, value === mode));
+        const languageLinks = render.languages.map((value, index) =>
+            link(componentUrl(name, { mode, language: value }), value, value === (language || (!index && value))));
+
+        const fixtures = found.fixtures.length ? found.fixtures : [{}];
+        const examples = fixtures.map((fixture, index) => renderExample(name, Object.assign({
+            name: fixture.name || 'Example ' + (index + 1)
+        }, fixture), { mode, language }));
+
+        return page(name,
+            '<p class="options"><strong>Mode:</strong>' + modeLinks.join('') + '</p>' +
+            (languageLinks.length ? '<p class="options"><strong>Language:</strong>' + languageLinks.join('') + '</p>' : '') +
+            examples.join(''));
+    };
+
+    const respond = url => {
+        const query = Object.fromEntries(url.searchParams);
+
+        let html;
+        if (url.pathname === '/') {
+            html = indexPage();
+        } else if (url.pathname.startsWith('/components/')) {
+            let name;
+            try {
+                name = decodeURIComponent(url.pathname.substr('/components/'.length));
+            } catch {
+                return { status: 400, html: page('Bad request', '<p>' + _.escape(url.pathname) + ' is not a valid component URL</p>') };
+            }
+            html = componentPage(name, query);
+        }
+        if (!html) return { status: 404, html: page('Not found', '<p>' + _.escape(url.pathname) + ' was not found</p>') };
+        return { status: 200, html };
+    };
+
+    return http.createServer((req, res) => {
+        let result;
+        try {
+            result = respond(new URL(req.url, 'http://localhost'));
+        } catch (e) {
+            // errors such as an invalid fixtures file are shown without stopping the server
+            result = { status: 500, html: page('Error', '<pre class="error">' + _.escape(e.message) + '</pre>') };
+        }
+
+        res.writeHead(result.status, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(result.html);
+    });
+};
+
+module.exports = {
+    gallery
+};
@@ -0,0 +1,14 @@
+'use strict';
+
+const { obsoleteSnapshots } = require('../snapshot');
+
+// mocha root hook plugin, eg: mocha --require hmpo-nunjucks-test/lib/hooks/snapshots
+// obsolete snapshots are only listed, as tests skipped by --grep or .only, or that failed before checking their
+// snapshots, also leave snapshots unchecked
+exports.mochaHooks = {
+    afterAll() {
+        const obsolete = obsoleteSnapshots();
+        if (!obsolete.length) return;
+        console.log('Obsolete snapshots:\n' + obsolete.map(file => '  ' + file).join('\n'));
+    }
+};
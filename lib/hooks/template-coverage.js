@@ -0,0 +1,10 @@
+'use strict';
+
+const { writeTemplateCoverage } = require('../template-coverage');
+
+// mocha root hook plugin, eg: mocha --require hmpo-nunjucks-test/lib/hooks/template-coverage
+exports.mochaHooks = {
+    afterAll() {
+        writeTemplateCoverage(process.env.TEMPLATE_COVERAGE_DIR);
+    }
+};
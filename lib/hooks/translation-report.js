@@ -0,0 +1,12 @@
+'use strict';
+
+const { enableTranslationReport, translationReport, formatTranslationReport } = require('../translation-coverage');
+
+enableTranslationReport();
+
+// mocha root hook plugin, eg: mocha --require hmpo-nunjucks-test/lib/hooks/translation-report
+exports.mochaHooks = {
+    afterAll() {
+        console.log(formatTranslationReport(translationReport()));
+    }
+};
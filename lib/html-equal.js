@@ -0,0 +1,172 @@
+'use strict';
+
+const cheerio = require('cheerio');
+const _ = require('lodash');
+const { lineDiff } = require('./diff');
+
+// elements whose text whitespace is significant
+const PREFORMATTED = ['pre', 'textarea'];
+
+const isDocument = obj => typeof obj === 'function' && typeof obj.root === 'function';
+
+const isElement = node => node.type === 'tag' || node.type === 'script' || node.type === 'style';
+
+const normaliseWhitespace = text => text.replace(/[ \t\n\r\f]+/g, ' ').trim();
+
+// the nodes to compare: the body of a document, the contents of the first element of a selection, or a parsed HTML
+// fragment
+const getNodes = html => {
+    if (isDocument(html)) {
+        const body = html('body');
+        return (body.length ? body : html.root()).contents().toArray();
+    }
+    if (html && html.cheerio) return html.first().contents().toArray();
+    return cheerio.load(String(html), null, false).root().contents().toArray();
+};
+
+const ignored = (name, ignoreAttributes) => ignoreAttributes.some(pattern =>
+    pattern instanceof RegExp ? pattern.test(name) : pattern === name);
+
+// convert DOM nodes to plain objects with sorted attributes and classes, merged and trimmed text, and no comments
+const normaliseNodes = (nodes, options, preformatted) => {
+    const result = [];
+    nodes.forEach(node => {
+        if (node.type === 'text') {
+            const text = preformatted ? node.data : normaliseWhitespace(node.data);
+            const last = _.last(result);
+            if (last && last.type === 'text') last.text = preformatted ? last.text + text : normaliseWhitespace(last.text + ' ' + text);
+            else if (text) result.push({ type: 'text', text });
+        } else if (isElement(node)) {
+            const attributes = {};
+            Object.keys(node.attribs).sort().forEach(name => {
+                if (ignored(name, options.ignoreAttributes)) return;
+                let value = node.attribs[name];
+                if (name === 'class') value = _.uniq(value.split(/\s+/).filter(Boolean)).sort().join(' ');
+                attributes[name] = value;
+            });
+            result.push({
+                type: 'element',
+                name: node.name,
+                attributes,
+                children: normaliseNodes(node.children, options, preformatted || PREFORMATTED.includes(node.name))
+            });
+        }
+    });
+    return result;
+};
+
+const openingTag = node => '<' + node.name + _.map(node.attributes, (value, name) =>
+    ' ' + name + '="' + _.escape(value) + '"').join('') + '>';
+
+const describeNode = node => node.type === 'text' ? 'text ' + JSON.stringify(node.text) : openingTag(node);
+
+// one line per node, indented by depth, for the tree diff
+const treeLines = (nodes, depth = 0) => _.flatMap(nodes, node => {
+    const indent = '  '.repeat(depth);
+    if (node.type === 'text') return [indent + JSON.stringify(node.text)];
+    return [indent + openingTag(node)].concat(treeLines(node.children, depth + 1));
+});
+
+// a CSS like selector for a node, eg ul.list > li:nth-child(2)
+const pathSegment = (node, siblings) => {
+    if (node.type === 'text') return '#text';
+    let segment = node.name;
+    if (node.attributes.id) segment += '#' + node.attributes.id;
+    if (node.attributes.class) segment += '.' + node.attributes.class.split(' ').join('.');
+    const elements = siblings.filter(sibling => sibling.type === 'element');
+    if (elements.length > 1) segment += ':nth-child(' + (elements.indexOf(node) + 1) + ')';
+    return segment;
+};
+
+const compareAttributes = (actual, expected) => {
+    const names = _.union(Object.keys(expected.attributes), Object.keys(actual.attributes)).sort();
+    for (const name of names) {
+        const expectedValue = expected.attributes[name];
+        const actualValue = actual.attributes[name];
+        if (actualValue === expectedValue) continue;
+        if (actualValue === undefined) return 'Missing attribute ' + name + '="' + expectedValue + '"';
+        if (expectedValue === undefined) return 'Unexpected attribute ' + name + '="' + actualValue + '"';
+        return 'Expected attribute ' + name + '="' + expectedValue + '" but found ' + name + '="' + actualValue + '"';
+    }
+};
+
+// find the first difference between two lists of normalised nodes
+const compareNodes = (actual, expected, parentPath) => {
+    const length = Math.max(actual.length, expected.length);
+    for (let index = 0; index < length; index++) {
+        const actualNode = actual[index];
+        const expectedNode = expected[index];
+
+        if (!actualNode) {
+            return { path: parentPath.concat(pathSegment(expectedNode, expected)), message: 'Missing ' + describeNode(expectedNode) };
+        }
+        const path = parentPath.concat(pathSegment(actualNode, actual));
+        if (!expectedNode) return { path, message: 'Unexpected ' + describeNode(actualNode) };
+
+        if (actualNode.type !== expectedNode.type || actualNode.name !== expectedNode.name) {
+            return { path, message: 'Expected ' + describeNode(expectedNode) + ' but found ' + describeNode(actualNode) };
+        }
+
+        if (actualNode.type === 'text') {
+            if (actualNode.text !== expectedNode.text) {
+                return { path, message: 'Expected ' + describeNode(expectedNode) + ' but found ' + describeNode(actualNode) };
+            }
+            continue;
+        }
+
+        const attributeMessage = compareAttributes(actualNode, expectedNode);
+        if (attributeMessage) return { path, message: attributeMessage };
+
+        const difference = compareNodes(actualNode.children, expectedNode.children, path);
+        if (difference) return difference;
+    }
+};
+
+/**
+ * Compares two HTML trees structurally.
+ *
+ * Attribute order, class order and duplicate classes are ignored, whitespace in text is collapsed and trimmed
+ * (except inside `pre` and `textarea` elements), entities are decoded, and comments are removed before comparing.
+ *
+ * @param {CheerioAPI|Cheerio|string} actual - The actual HTML. Documents are compared by the contents of their
+ *                                            body, selections by the contents of their first element, and strings
+ *                                            are parsed as HTML fragments.
+ * @param {CheerioAPI|Cheerio|string} expected - The expected HTML.
+ * @param {Object} [options]
+ * @param {Array<string|RegExp>} [options.ignoreAttributes=[]] - Attributes to leave out of the comparison, eg
+ *                                                              generated ids.
+ * @returns {Object} The result containing:
+ *   - `equal` {boolean}: Whether the trees are the same.
+ *   - `path` {string}: The selector path to the first difference.
+ *   - `difference` {string}: A description of the first difference.
+ *   - `diff` {string}: A line diff of the normalised trees, as produced by `lineDiff`.
+ *   - `message` {string}: The path, difference and diff formatted for an assertion failure.
+ *
+ * @example
+ * const result = htmlEqual($('body'), '<p class="b a">Hello&nbsp;world</p>', { ignoreAttributes: ['id'] });
+ * assert.ok(result.equal, result.message);
+ */
+const htmlEqual = (actual, expected, options = {}) => {
+    options = Object.assign({ ignoreAttributes: [] }, options);
+    options.ignoreAttributes = _.castArray(options.ignoreAttributes);
+
+    const actualNodes = normaliseNodes(getNodes(actual), options);
+    const expectedNodes = normaliseNodes(getNodes(expected), options);
+
+    const difference = compareNodes(actualNodes, expectedNodes, []);
+    if (!difference) return { equal: true };
+
+    const path = difference.path.join(' > ');
+    const diff = lineDiff(treeLines(expectedNodes).join('\n'), treeLines(actualNodes).join('\n'));
+    return {
+        equal: false,
+        path,
+        difference: difference.message,
+        diff,
+        message: 'HTML differs at ' + path + ': ' + difference.message + '\n' + diff
+    };
+};
+
+module.exports = {
+    htmlEqual
+};
@@ -0,0 +1,74 @@
+'use strict';
+
+const cheerio = require('cheerio');
+
+const loadHtml = html => {
+    return cheerio.load(html, { normalizeWhitespace: true });
+};
+
+/**
+ * Formats HTML content by cleaning up whitespace and adding newlines around tags.
+ *
+ * This function processes the HTML content by:
+ * - Replacing HTML character code `&#x2019;` with the right single quotation mark (`’`).
+ * - Adding newlines before opening tags to ensure clean formatting.
+ * - Adding newlines after closing tags to separate them visually.
+ * - Removing multiple consecutive newlines and spaces, ensuring a single newline between elements.
+ * - Trimming any leading or trailing whitespace.
+ *
+ * @param {Cheerio} $ - A Cheerio object containing the HTML content to format.
+ * @returns {string} The formatted HTML as a string, with newlines and cleaned whitespace.
+ *
+ * @example
+ * const cheerio = require('cheerio');
+ * const htmlContent = cheerio.load('<div><p>  This is a test &#x2019; string  </p>  <p>Another test.</p></div>');
+ * const formattedHtml = formatHtml(htmlContent);
+ * console.log(formattedHtml);
+ * // Output:
+ * // '<div>\n<p>This is a test ’ string</p>\n<p>Another test.</p>\n</div>'
+ */
+const formatHtml = $ => {
+    let html = $.html()
+        .replace(/&#x2019;/g, '’')
+        .replace(/(<[^/][^>]+>)\s*/g, '\n$1')
+        .replace(/\s*(<\/[^>]+>)/g, '$1\n')
+        .replace(/(\n\s*)+/g, '\n');
+    return html.trim();
+};
+
+/**
+ * Cleans HTML content by removing unnecessary whitespace and formatting issues.
+ *
+ * This function processes the HTML content by:
+ * - Replacing the HTML character code `&#x2019;` with the right single quotation mark (`’`).
+ * - Removing whitespace after opening tags and before closing tags.
+ * - Removing all newlines and excessive spaces within the HTML string.
+ * - Trimming leading and trailing whitespace from the final HTML.
+ *
+ * This function is useful for "cleaning" HTML content, making it more compact and free of extra spaces and newlines.
+ *
+ * @param {Cheerio} $ - A Cheerio object containing the HTML content to clean.
+ * @returns {string} The cleaned HTML as a string, with unnecessary whitespace removed.
+ *
+ * @example
+ * const cheerio = require('cheerio');
+ * const htmlContent = cheerio.load('<div><p>  This is a test &#x2019; string  </p>  <p>Another test.</p></div>');
+ * const cleanedHtml = cleanHtml(htmlContent);
+ * console.log(cleanedHtml);
+ * // Output:
+ * // '<div><p>This is a test ’ string</p><p>Another test.</p></div>'
+ */
+const cleanHtml = $ => {
+    let html = $.html()
+        .replace(/&#x2019;/g, '’')
+        .replace(/(<[^/][^>]+>)\s*/g, '$1')
+        .replace(/\s*(<\/[^>]+>)/g, '$1')
+        .replace(/(\n\s*)+/g, '');
+    return html.trim();
+};
+
+module.exports = {
+    loadHtml,
+    formatHtml,
+    cleanHtml
+};
@@ -0,0 +1,141 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const _ = require('lodash');
+const deepCloneMerge = require('deep-clone-merge');
+const yaml = require('js-yaml');
+
+const describeType = value => {
+    if (_.isPlainObject(value)) return 'an object';
+    if (Array.isArray(value)) return 'an array';
+    return 'a ' + typeof value;
+};
+
+// the 1-based line and column of a character offset in some text
+const location = (text, offset) => {
+    const lines = text.substr(0, offset).split('\n');
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+};
+
+const parseLocale = (p, text) => {
+    try {
+        if (p.match(/\.jso?n$/)) return JSON.parse(text);
+        if (p.match(/\.ya?ml$/)) return yaml.load(text);
+    } catch (e) {
+        let reason = e.message;
+        let position;
+        if (e instanceof yaml.YAMLException && e.mark) {
+            reason = e.reason;
+            position = { line: e.mark.line + 1, column: e.mark.column + 1 };
+        } else {
+            const match = reason.match(/ at position (\d+)/);
+            if (match) position = location(text, Number(match[1]));
+            reason = reason.replace(/ at position \d+( \(line \d+ column \d+\))?$/, '');
+        }
+
+        const err = new Error('Error loading localisation file ' + p +
+            (position ? ':' + position.line + ':' + position.column : '') + ': ' + reason);
+        Object.assign(err, { file: p }, position);
+        throw err;
+    }
+    throw new Error('Error loading localisation file ' + p + ': Unknown file type');
+};
+
+// read a locale file, or each JSON and YAML file in a directory mounted under a key from its filename
+const readLocaleFiles = (p, mount) => {
+    const stat = fs.statSync(p);
+
+    if (stat.isDirectory()) {
+        return _.flatMap(fs.readdirSync(p), file => {
+            if (!file.match(/\.(jso?n|ya?ml)$/)) return [];
+            return readLocaleFiles(path.resolve(p, file), true);
+        });
+    }
+
+    let data = parseLocale(p, fs.readFileSync(p).toString());
+
+    if (mount) {
+        // mount this file in the correct place in the stack based on filename
+        const parts = path.basename(p).split('.');
+        parts.pop();
+        if (parts[0] === 'default') parts.shift();
+        while (parts.length) data = { [parts.pop()]: data };
+    }
+
+    return [{ file: p, data }];
+};
+
+const leafKeys = (value, key) => _.isPlainObject(value) && !_.isEmpty(value) ?
+    _.flatMap(value, (child, name) => leafKeys(child, key ? key + '.' + name : name)) :
+    [key];
+
+/**
+ * Loads and merges locale files, recording the file each key came from and any keys that are overridden by a
+ * later file.
+ *
+ * Later files override earlier files, and objects are merged. A key is reported as a `locale-override` if a later
+ * file gives it a different value, or a `locale-type-clash` if a string is replaced by an object or an object by a
+ * string.
+ *
+ * @param {string[]} paths - Locale files (JSON or YAML), or directories of locale files that are mounted under a
+ *                           key from their filename.
+ * @returns {Object} `{ data, sources, warnings }` where `sources` is an object of source file paths keyed by
+ *                   translation key, and `warnings` is a list of `{ type, key, file, previous, message }` objects.
+ * @throws {Error} If a file cannot be parsed. The message includes the line and column where possible.
+ */
+const loadLocales = paths => {
+    const sources = {};
+    const warnings = [];
+
+    const previousFile = key => sources[key] || sources[Object.keys(sources).find(k => k.startsWith(key + '.'))];
+
+    const removeSources = key => Object.keys(sources).forEach(k => {
+        if (k === key || k.startsWith(key + '.')) delete sources[k];
+    });
+
+    const check = (existing, value, key, file) => {
+        if (_.isPlainObject(existing) && _.isPlainObject(value)) {
+            return _.forEach(value, (child, name) => check(existing[name], child, key + '.' + name, file));
+        }
+
+        if (existing !== undefined) {
+            const previous = previousFile(key);
+            if (_.isPlainObject(existing) !== _.isPlainObject(value)) {
+                warnings.push({
+                    type: 'locale-type-clash',
+                    key,
+                    file,
+                    previous,
+                    message: _.upperFirst(describeType(existing)) + ' at ' + key + ' in ' + previous +
+                        ' is replaced by ' + describeType(value) + ' in ' + file
+                });
+            } else if (!_.isEqual(existing, value)) {
+                warnings.push({
+                    type: 'locale-override',
+                    key,
+                    file,
+                    previous,
+                    message: key + ' in ' + previous + ' is overridden by ' + file
+                });
+            }
+            removeSources(key);
+        }
+
+        leafKeys(value, key).forEach(leaf => {
+            sources[leaf] = file;
+        });
+    };
+
+    const files = _.flatMap(paths, p => readLocaleFiles(p));
+    const data = files.reduce((stack, { file, data }) => {
+        _.forEach(data, (value, name) => check(stack[name], value, name, file));
+        return deepCloneMerge(stack, data);
+    }, {});
+
+    return { data, sources, warnings };
+};
+
+module.exports = {
+    loadLocales
+};
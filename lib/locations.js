@@ -0,0 +1,149 @@
+'use strict';
+
+const { nodes } = require('nunjucks');
+
+// environment method called by instrumented templates to record the statement being rendered
+const LOCATION_METHOD = '__hmpoNunjucksTestLocation';
+
+// instrumented templates only call globals with this prefix, which aren't statements of their own
+const MARKER_PREFIX = '__hmpoNunjucksTest';
+
+// the number of lines shown either side of the error line in a code frame
+const FRAME_LINES = 2;
+
+const BODY_FIELDS = ['body', 'else_', 'default', 'contentArgs'];
+
+// markers compile to a direct call of the environment method, as a call to a global for every statement is slow
+const LocationMarker = nodes.Node.extend('HmpoLocationMarker', { fields: ['args'] });
+
+const compilers = {
+    compileHmpoLocationMarker(node) {
+        this._emitLine('env.' + LOCATION_METHOD + '(' + node.args.map(arg => JSON.stringify(arg)).join(', ') + ');');
+    }
+};
+
+const call = (node, args) => new LocationMarker(node.lineno, node.colno, args);
+
+const isMarker = node => node instanceof LocationMarker || (node instanceof nodes.Output && node.children.length > 0 &&
+    node.children.every(child => child instanceof nodes.FunCall && child.name instanceof nodes.Symbol &&
+        child.name.value.startsWith(MARKER_PREFIX)));
+
+const isText = node => node instanceof nodes.Output && node.children.every(child => child instanceof nodes.TemplateData);
+
+/**
+ * Instruments a parsed template to record the location of each statement as it renders, so errors can be reported
+ * against the template source. Macro and `call` bodies restore the location of the statement that called them when
+ * they return. The template must be compiled with the `locationCompilers`, and the environment needs a
+ * `__hmpoNunjucksTestLocation(action, id, line, column)` method that updates a location stack.
+ *
+ * @param {Root} ast - The parsed template, changed in place.
+ * @param {function} locate - Returns `{ id, line, column }` for a node, or `undefined` if the node isn't part of a
+ *                            source that should be reported, such as a generated component wrapper.
+ */
+const instrumentLocations = (ast, locate) => {
+    const mark = node => {
+        const location = locate(node);
+        return location && call(node, ['mark', location.id, location.line, location.column]);
+    };
+
+    const descend = node => {
+        const fields = node instanceof nodes.NodeList ? ['children'] : node.fields;
+        fields.concat(node instanceof nodes.Set && node.body ? ['body'] : []).forEach(field => {
+            [].concat(node[field]).forEach(value => {
+                if (!(value instanceof nodes.Node)) return;
+                if (BODY_FIELDS.includes(field) && value.typename === 'NodeList') return instrumentBody(value);
+                descend(value);
+            });
+        });
+        if (node instanceof nodes.Macro) {
+            node.body.children.unshift(call(node, ['enter']));
+            node.body.children.push(call(node, ['exit']));
+        }
+    };
+
+    const instrumentBody = list => {
+        const children = [];
+        list.children.forEach(child => {
+            const marker = !isMarker(child) && !isText(child) && mark(child);
+            if (marker) children.push(marker);
+            descend(child);
+            children.push(child);
+        });
+        list.children = children;
+    };
+
+    instrumentBody(ast);
+};
+
+/**
+ * Creates the location stack for a render, updated by the markers added by `instrumentLocations()`.
+ *
+ * @returns {Object} A stack with `update(action, id, line, column)` and `location()` members.
+ */
+const createLocationStack = () => {
+    // locations are updated in place, so only entering a macro creates an object
+    const stack = [{}];
+    return {
+        update: (action, id, line, column) => {
+            if (action === 'enter') return stack.push(Object.assign({}, stack[stack.length - 1]));
+            if (action === 'exit') return stack.pop();
+            const top = stack[stack.length - 1];
+            top.id = id;
+            top.line = line;
+            top.column = column;
+        },
+        location: () => {
+            const top = stack[stack.length - 1];
+            return top.id === undefined ? undefined : { id: top.id, line: top.line, column: top.column };
+        }
+    };
+};
+
+/**
+ * Formats the lines of source around a location, pointing at the column.
+ *
+ * @param {string} src - The template source.
+ * @param {number} line - The 1-based line number.
+ * @param {number} column - The 1-based column number.
+ * @returns {string} The code frame.
+ */
+const codeFrame = (src, line, column) => {
+    const lines = src.replace(/\n$/, '').split('\n');
+    const first = Math.max(1, line - FRAME_LINES);
+    const last = Math.min(lines.length, line + FRAME_LINES);
+    const width = String(last).length;
+    const out = [];
+    for (let number = first; number <= last; number++) {
+        const gutter = String(number).padStart(width) + ' | ';
+        out.push((number === line ? '> ' : '  ') + gutter + lines[number - 1]);
+        if (number === line) out.push('  ' + ' '.repeat(width) + ' | ' + ' '.repeat(column - 1) + '^');
+    }
+    return out.join('\n');
+};
+
+/**
+ * Adds the template location and a code frame to a rendering error.
+ *
+ * @param {Error} err - The rendering error, changed in place.
+ * @param {Object} location - The `{ id, line, column }` of the statement being rendered.
+ * @param {Map} sources - The `{ name, src }` template sources, keyed by location id.
+ * @returns {Error} The error, with `location` and `codeFrame` properties.
+ */
+const addCodeFrame = (err, location, sources) => {
+    const source = location && sources.get(location.id);
+    if (!source || !(err instanceof Error) || err.codeFrame) return err;
+    err.location = { file: source.name, line: location.line, column: location.column };
+    err.codeFrame = codeFrame(source.src, location.line, location.column);
+    err.message += '\n\nWhile rendering ' + source.name + ':' + location.line + ':' + location.column + '\n' +
+        err.codeFrame;
+    return err;
+};
+
+module.exports = {
+    LOCATION_METHOD,
+    locationCompilers: compilers,
+    instrumentLocations,
+    createLocationStack,
+    codeFrame,
+    addCodeFrame
+};
@@ -0,0 +1,124 @@
+'use strict';
+
+const _ = require('lodash');
+const { describeElement } = require('./accessibility');
+
+// markers around pseudo-localised text, so text that didn't come from a translation can be found
+const START = '⟦';
+const END = '⟧';
+
+// translated text is often longer than English, so pseudo-localised text is padded by this fraction of its letters
+const EXPANSION = 0.4;
+const PADDING = '~';
+
+const ACCENTS = {
+    a: 'á', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'î', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ',
+    n: 'ñ', o: 'ö', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š', t: 'ţ', u: 'û', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+    A: 'Å', B: 'Ɓ', C: 'Ç', D: 'Ð', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Î', J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ',
+    N: 'Ñ', O: 'Ö', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Û', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž'
+};
+
+// HTML tags, entities and placeholders are kept as they are
+const PROTECTED = /(<[^>]*>|&#?\w+;|{{[^}]*}})/;
+
+const DEFAULT_ATTRIBUTES = ['alt', 'title', 'aria-label'];
+
+// elements whose text isn't shown
+const HIDDEN = ['head', 'script', 'style', 'template', 'noscript'];
+
+const pseudoText = text => {
+    if (!text.trim()) return text;
+    let letters = 0;
+    const accented = text.split(PROTECTED).map((part, index) => {
+        if (index % 2) return part;
+        return part.replace(/[A-Za-z]/g, letter => {
+            letters++;
+            return ACCENTS[letter];
+        });
+    }).join('');
+    return START + accented + PADDING.repeat(Math.ceil(letters * EXPANSION)) + END;
+};
+
+/**
+ * Pseudo-localises a translation, accenting its letters, padding it to be longer and wrapping it in `⟦` and `⟧`
+ * markers. Object and array translations have each of their strings pseudo-localised.
+ *
+ * @param {*} translation - The translation.
+ * @returns {*} The pseudo-localised translation, or the translation unchanged if it has no strings.
+ *
+ * @example
+ * pseudoLocalise('Continue to <a href="/pay">payment</a>');
+ * // '⟦Çöñţîñûé ţö <a href="/pay">þáýɱéñţ</a>~~~~~~~⟧'
+ */
+const pseudoLocalise = translation => {
+    if (typeof translation === 'string') return pseudoText(translation);
+    return _.cloneDeepWith(translation, value => typeof value === 'string' ? pseudoText(value) : undefined);
+};
+
+// the text outside pseudo-localisation markers, given how many markers are open before it
+const unmarkedText = (text, depth) => {
+    let unmarked = '';
+    for (const char of text) {
+        if (char === START) depth++;
+        else if (char === END) depth = Math.max(0, depth - 1);
+        else if (!depth) unmarked += char;
+    }
+    return { unmarked, depth };
+};
+
+const needsTranslation = (text, ignore) => /\p{L}/u.test(text) && !ignore.some(pattern =>
+    pattern instanceof RegExp ? pattern.test(text.trim()) : pattern === text.trim());
+
+/**
+ * Finds visible text and `alt`, `title` and `aria-label` attributes that didn't come from a translation in a
+ * document rendered in pseudo-locale mode. Text is only reported if it has letters outside the `⟦` and `⟧`
+ * markers, so markers can wrap translations that contain HTML, and numbers and punctuation aren't reported.
+ *
+ * @param {CheerioAPI|Cheerio} $ - A document rendered with the `pseudo` option, or a selection from it.
+ * @param {Object} [options] - Options:
+ *   - `attributes` {string[]}: The attributes to check, defaults to `alt`, `title` and `aria-label`.
+ *   - `ignore` {Array<string|RegExp>}: Text that doesn't need translating, such as names from the render context.
+ * @returns {Object[]} The untranslated text, each with the `type` (`text` or `attribute`), the `text`, the
+ *                     `attribute` name for attributes, and the opening tag of the `element` it is in.
+ *
+ * @example
+ * const $ = render({ template: 'pages/name.html', pseudo: true });
+ * findUntranslated($);
+ * // [ { type: 'text', text: 'Continue', element: '<button class="govuk-button">' } ]
+ */
+const findUntranslated = ($, { attributes = DEFAULT_ATTRIBUTES, ignore = [] } = {}) => {
+    const results = [];
+    let depth = 0;
+
+    const walk = (node, parent) => {
+        if (node.type === 'text') {
+            const text = unmarkedText(node.data, depth);
+            depth = text.depth;
+            if (needsTranslation(text.unmarked, ignore)) {
+                results.push({ type: 'text', text: text.unmarked.trim(), element: parent ? describeElement(parent) : '' });
+            }
+            return;
+        }
+        if (node.type === 'tag' || node.type === 'root') {
+            if (HIDDEN.includes(node.name) || (node.attribs && node.attribs.hidden !== undefined)) return;
+            attributes.forEach(name => {
+                const value = node.attribs && node.attribs[name];
+                if (value === undefined) return;
+                const { unmarked } = unmarkedText(value, 0);
+                if (needsTranslation(unmarked, ignore)) {
+                    results.push({ type: 'attribute', attribute: name, text: value, element: describeElement(node) });
+                }
+            });
+            node.children.forEach(child => walk(child, node.type === 'tag' ? node : parent));
+        }
+    };
+
+    const roots = typeof $ === 'function' && typeof $.root === 'function' ? $.root().toArray() : $.toArray();
+    roots.forEach(root => walk(root));
+    return results;
+};
+
+module.exports = {
+    pseudoLocalise,
+    findUntranslated
+};
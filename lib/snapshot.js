@@ -0,0 +1,99 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const { formatHtml } = require('./html');
+const { lineDiff } = require('./diff');
+
+const packageDir = path.resolve(__dirname, '..');
+
+// snapshot names checked in this process, keyed by snapshot directory
+const checked = {};
+
+const updating = () => Boolean(process.env.UPDATE_SNAPSHOTS) && process.env.UPDATE_SNAPSHOTS !== '0';
+
+// find the first file in the call stack outside of this package's library code
+const callerFile = () => {
+    const prepareStackTrace = Error.prepareStackTrace;
+    Error.prepareStackTrace = (err, stack) => stack;
+    const stack = new Error().stack;
+    Error.prepareStackTrace = prepareStackTrace;
+
+    const site = stack.find(callSite => {
+        const file = callSite.getFileName();
+        if (!file || !path.isAbsolute(file)) return false;
+        return !file.startsWith(path.join(packageDir, 'lib') + path.sep) && file !== path.join(packageDir, 'index.js');
+    });
+    if (!site) throw new Error('Cannot find the test file for snapshot');
+    return site.getFileName();
+};
+
+const snapshotDir = file => path.join(path.dirname(file), '__snapshots__', path.basename(file));
+
+const snapshotFilename = name => name.trim().replace(/[^\w.-]+/g, '-') + '.html';
+
+/**
+ * Compares HTML formatted with `formatHtml` against a snapshot stored next to the test file.
+ *
+ * Snapshots are stored in `__snapshots__/<test file>/<name>.html`. A missing snapshot is written, and a snapshot
+ * that differs throws an error with a line diff unless the `UPDATE_SNAPSHOTS` environment variable is set, in
+ * which case the snapshot is rewritten.
+ *
+ * @param {string} name - The name of the snapshot, unique within the test file.
+ * @param {Cheerio} $ - A Cheerio object containing the HTML content to snapshot.
+ * @param {Object} [options] - Snapshot options.
+ * @param {string} [options.file] - The test file to store the snapshot next to. Defaults to the calling file.
+ * @returns {string} The formatted HTML.
+ * @throws {Error} If the HTML does not match the stored snapshot.
+ *
+ * @example
+ * const $ = render({ component: 'hmpoSubmit', params: { text: 'Continue' } });
+ * matchSnapshot('submit button', $('body'));
+ */
+const matchSnapshot = (name, $, options = {}) => {
+    const dir = snapshotDir(options.file || callerFile());
+    const filename = snapshotFilename(name);
+
+    checked[dir] = checked[dir] || new Set();
+    if (checked[dir].has(filename)) throw new Error('Duplicate snapshot name ' + name);
+    checked[dir].add(filename);
+
+    const html = formatHtml($);
+    const file = path.join(dir, filename);
+
+    if (fs.existsSync(file)) {
+        const expected = fs.readFileSync(file).toString().replace(/\n$/, '');
+        if (expected === html) return html;
+        if (!updating()) {
+            throw new Error('Snapshot ' + name + ' does not match ' + file + '\n' + lineDiff(expected, html) +
+                '\nSet UPDATE_SNAPSHOTS=1 to update the snapshot');
+        }
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, html + '\n');
+    return html;
+};
+
+/**
+ * Lists snapshot files that were not checked by any test in this process.
+ *
+ * Only the snapshot directories of test files that checked at least one snapshot are searched.
+ *
+ * @returns {string[]} The paths of the obsolete snapshot files.
+ */
+const obsoleteSnapshots = () => {
+    const obsolete = [];
+    Object.keys(checked).forEach(dir => {
+        if (!fs.existsSync(dir)) return;
+        fs.readdirSync(dir).sort().forEach(filename => {
+            if (filename.endsWith('.html') && !checked[dir].has(filename)) obsolete.push(path.join(dir, filename));
+        });
+    });
+    return obsolete;
+};
+
+module.exports = {
+    matchSnapshot,
+    obsoleteSnapshots
+};
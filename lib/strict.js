@@ -0,0 +1,163 @@
+'use strict';
+
+const { nodes, runtime } = require('nunjucks');
+
+// global functions called by instrumented templates to check variable and member lookups
+const SYMBOL_GLOBAL = '__hmpoNunjucksTestStrictSymbol';
+const MEMBER_GLOBAL = '__hmpoNunjucksTestStrictMember';
+
+// tests and filters that are expected to be given undefined values
+const GUARD_TESTS = ['defined', 'undefined', 'none', 'null'];
+const GUARD_FILTERS = ['default', 'd'];
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// the template text of a lookup, eg params.items[0].text
+const expression = node => {
+    if (node instanceof nodes.Symbol) return node.value;
+    if (node instanceof nodes.LookupVal) {
+        const target = expression(node.target);
+        const key = node.val;
+        if (key instanceof nodes.Literal && typeof key.value === 'string' && IDENTIFIER.test(key.value)) {
+            return target + '.' + key.value;
+        }
+        if (key instanceof nodes.Literal) return target + '[' + JSON.stringify(key.value) + ']';
+        return target + '[' + expression(key) + ']';
+    }
+    if (node instanceof nodes.FunCall) return expression(node.name) + '(…)';
+    return '…';
+};
+
+// the start of a lookup is the start of its leftmost target
+const start = node => node instanceof nodes.LookupVal ? start(node.target) : node;
+
+/**
+ * Instruments a parsed template to check every variable and member lookup that isn't guarded by an `if`, `or`,
+ * `for`, `is defined` test or `default` filter.
+ *
+ * @param {Root} ast - The parsed template, changed in place.
+ * @param {function} locate - Returns `{ id, line, column }` for a node, or `undefined` if the node isn't part of a
+ *                            source that should be checked.
+ */
+const instrumentStrict = (ast, locate) => {
+    const check = (node, text, name, args) => {
+        const location = locate(start(node));
+        if (!location) return node;
+        const { lineno, colno } = node;
+        const literals = [location.id, location.line, location.column, text]
+            .map(value => new nodes.Literal(lineno, colno, value));
+        return new nodes.FunCall(lineno, colno, new nodes.Symbol(lineno, colno, name),
+            new nodes.NodeList(lineno, colno, args.concat(literals)));
+    };
+
+    const visitList = (list, guarded) => {
+        if (list) list.children = list.children.map(child => visit(child, guarded));
+        return list;
+    };
+
+    // macro and caller arguments are names, but keyword arguments have default value expressions
+    const visitArguments = list => {
+        list.children.forEach(child => {
+            if (child instanceof nodes.KeywordArgs) visit(child, false);
+        });
+    };
+
+    // returns the node to use in place of the node visited
+    const visit = (node, guarded) => {
+        if (Array.isArray(node)) return node.map(child => visit(child, guarded));
+        if (!(node instanceof nodes.Node)) return node;
+
+        if (node instanceof nodes.Symbol) {
+            // templates use undefined as a value, although it isn't a keyword
+            return guarded || node.value === 'undefined' ? node : check(node, node.value, SYMBOL_GLOBAL, [node]);
+        }
+
+        if (node instanceof nodes.LookupVal) {
+            const text = expression(node);
+            node.target = visit(node.target, guarded);
+            node.val = visit(node.val, false);
+            return guarded ? node : check(node, text, MEMBER_GLOBAL, [node.target, node.val]);
+        }
+
+        if (node instanceof nodes.FilterAsync) {
+            visitList(node.args, false);
+        } else if (node instanceof nodes.Filter) {
+            const filterGuarded = GUARD_FILTERS.includes(node.name.value);
+            node.args.children = node.args.children.map((child, index) => visit(child, filterGuarded && index === 0));
+        } else if (node instanceof nodes.FunCall) {
+            // calling an undefined function is already an error
+            visitList(node.args, false);
+        } else if (node instanceof nodes.If || node instanceof nodes.InlineIf) {
+            node.cond = visit(node.cond, true);
+            node.body = visit(node.body, false);
+            node.else_ = visit(node.else_, false);
+        } else if (node instanceof nodes.For) {
+            node.arr = visit(node.arr, true);
+            node.body = visit(node.body, false);
+            node.else_ = visit(node.else_, false);
+        } else if (node instanceof nodes.Is) {
+            const test = node.right instanceof nodes.FunCall ? node.right.name.value : node.right.value;
+            node.left = visit(node.left, guarded || GUARD_TESTS.includes(test));
+            if (node.right instanceof nodes.FunCall) visitList(node.right.args, false);
+        } else if (node instanceof nodes.Or) {
+            node.left = visit(node.left, true);
+            node.right = visit(node.right, guarded);
+        } else if (node instanceof nodes.Group) {
+            visitList(node, guarded);
+        } else if (node instanceof nodes.And || node instanceof nodes.Not || node instanceof nodes.Compare ||
+            node instanceof nodes.CompareOperand) {
+            // conditions compare and combine values that may be undefined
+            node.fields.forEach(field => {
+                node[field] = visit(node[field], guarded);
+            });
+        } else if (node instanceof nodes.Macro) {
+            visitArguments(node.args);
+            visit(node.body, false);
+        } else if (node instanceof nodes.Set) {
+            node.value = visit(node.value, false);
+            if (node.body) visit(node.body, false);
+        } else if (node instanceof nodes.Import || node instanceof nodes.FromImport) {
+            node.template = visit(node.template, false);
+        } else if (node instanceof nodes.Pair) {
+            node.value = visit(node.value, false);
+        } else if (node instanceof nodes.CallExtension) {
+            visitList(node.args, false);
+            (node.contentArgs || []).forEach(arg => visit(arg, false));
+        } else if (node instanceof nodes.Block) {
+            visit(node.body, false);
+        } else if (node instanceof nodes.NodeList) {
+            visitList(node, false);
+        } else if (!(node instanceof nodes.Literal) && !(node instanceof nodes.Super)) {
+            node.fields.forEach(field => {
+                node[field] = visit(node[field], false);
+            });
+        }
+        return node;
+    };
+
+    visit(ast, false);
+};
+
+/**
+ * Creates the global functions called by templates instrumented by `instrumentStrict()`.
+ *
+ * @param {function} report - Called with `(id, line, column, expression)` for each lookup that is undefined.
+ * @returns {Object} The global functions keyed by name.
+ */
+const strictGlobals = report => ({
+    [SYMBOL_GLOBAL]: (value, id, line, column, text) => {
+        if (value === undefined) report(id, line, column, text);
+        return value;
+    },
+    [MEMBER_GLOBAL]: (target, key, id, line, column, text) => {
+        const value = runtime.memberLookup(target, key);
+        // only the first undefined part of a lookup is reported
+        if (value === undefined && target !== undefined && target !== null) report(id, line, column, text);
+        return value;
+    }
+});
+
+module.exports = {
+    instrumentStrict,
+    strictGlobals
+};
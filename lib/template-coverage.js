@@ -0,0 +1,255 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const _ = require('lodash');
+const { nodes } = require('nunjucks');
+
+// global function called by instrumented templates to count coverage
+const COVERAGE_GLOBAL = '__hmpoNunjucksTestCoverage';
+
+// every collector created in this process, so coverage can be merged across renderers
+const collectors = [];
+
+const BODY_FIELDS = ['body', 'else_', 'default'];
+
+/**
+ * Creates a collector that instruments templates and counts which statements, branches and macros run.
+ *
+ * Coverage is collected in the Istanbul file coverage format, keyed by template path:
+ * - Statements are the outputs and tags in each template body.
+ * - Branches are `if`/`elif`/`else` tags, and `for` loops with the body and the empty or `else` case.
+ * - Functions are macros and `call` blocks.
+ *
+ * @returns {Object} A collector with `instrument(ast, src, file)`, `hit(file, type, id, index)`, `toJSON()` and
+ *                   `toLcov()` members.
+ */
+const createTemplateCoverage = () => {
+    const files = {};
+
+    const instrument = (ast, src, file) => {
+        const lines = src.split('\n');
+        const exists = Boolean(files[file]);
+        const coverage = {
+            path: file,
+            statementMap: {},
+            fnMap: {},
+            branchMap: {},
+            s: {},
+            f: {},
+            b: {}
+        };
+        let statements = 0;
+        let functions = 0;
+        let branches = 0;
+
+        const location = node => {
+            const line = node.lineno + 1;
+            return {
+                start: { line, column: node.colno },
+                end: { line, column: (lines[node.lineno] || '').length }
+            };
+        };
+
+        const marker = (node, type, id, index) => {
+            const { lineno, colno } = node;
+            const args = [file, type, id].concat(index === undefined ? [] : [index])
+                .map(value => new nodes.Literal(lineno, colno, value));
+            return new nodes.Output(lineno, colno, [
+                new nodes.FunCall(lineno, colno, new nodes.Symbol(lineno, colno, COVERAGE_GLOBAL), new nodes.NodeList(lineno, colno, args))
+            ]);
+        };
+
+        const isStatement = node => {
+            if (node instanceof nodes.Macro) return false;
+            if (node instanceof nodes.Output) {
+                return node.children.some(child => !(child instanceof nodes.TemplateData) || child.value.trim());
+            }
+            return true;
+        };
+
+        // the location of a statement, skipping the leading whitespace of text
+        const statementLocation = node => {
+            const text = node instanceof nodes.Output && node.children[0] instanceof nodes.TemplateData && node.children[0].value;
+            if (!text) return location(node);
+            const leading = text.match(/^\s*/)[0].split('\n');
+            const lineno = node.lineno + leading.length - 1;
+            const colno = leading.length > 1 ? leading[leading.length - 1].length : node.colno + leading[0].length;
+            return location({ lineno, colno });
+        };
+
+        const addBranch = (node, type) => {
+            const id = String(branches++);
+            coverage.branchMap[id] = { loc: location(node), type, locations: [location(node), location(node)], line: node.lineno + 1 };
+            coverage.b[id] = [0, 0];
+            return id;
+        };
+
+        // instrument a branch body, adding a body if there isn't one
+        const instrumentBranch = (node, body, id, index) => {
+            if (!body) return new nodes.NodeList(node.lineno, node.colno, [marker(node, 'b', id, index)]);
+            if (!(body instanceof nodes.NodeList)) {
+                // elif
+                instrumentIf(body);
+                return new nodes.NodeList(body.lineno, body.colno, [marker(node, 'b', id, index), body]);
+            }
+            instrumentBody(body);
+            body.children.unshift(marker(node, 'b', id, index));
+            return body;
+        };
+
+        const instrumentIf = node => {
+            const id = addBranch(node, 'if');
+            node.body = instrumentBranch(node, node.body, id, 0);
+            node.else_ = instrumentBranch(node, node.else_, id, 1);
+        };
+
+        const instrumentFor = node => {
+            const id = addBranch(node, 'for');
+            node.body = instrumentBranch(node, node.body, id, 0);
+            if (node.typename === 'For') node.else_ = instrumentBranch(node, node.else_, id, 1);
+        };
+
+        const instrumentMacro = node => {
+            const id = String(functions++);
+            const name = node instanceof nodes.Caller ? 'caller' : node.name.value;
+            coverage.fnMap[id] = { name, decl: location(node), loc: location(node), line: node.lineno + 1 };
+            coverage.f[id] = 0;
+            instrumentBody(node.body);
+            node.body.children.unshift(marker(node, 'f', id));
+        };
+
+        const descend = node => {
+            if (node instanceof nodes.If) return instrumentIf(node);
+            if (node instanceof nodes.For) return instrumentFor(node);
+            if (node instanceof nodes.Macro) instrumentMacro(node);
+
+            const fields = node instanceof nodes.NodeList ? ['children'] : node.fields;
+            fields.forEach(field => {
+                if (node instanceof nodes.Macro && field === 'body') return;
+                _.castArray(node[field]).forEach(value => {
+                    if (!(value instanceof nodes.Node)) return;
+                    if (BODY_FIELDS.includes(field) && value.typename === 'NodeList') return instrumentBody(value);
+                    descend(value);
+                });
+            });
+        };
+
+        const instrumentBody = list => {
+            const children = [];
+            list.children.forEach(child => {
+                if (isStatement(child)) {
+                    const id = String(statements++);
+                    coverage.statementMap[id] = statementLocation(child);
+                    coverage.s[id] = 0;
+                    children.push(marker(child, 's', id));
+                }
+                descend(child);
+                children.push(child);
+            });
+            list.children = children;
+        };
+
+        instrumentBody(ast);
+        if (!exists) files[file] = coverage;
+    };
+
+    const hit = (file, type, id, index) => {
+        const coverage = files[file];
+        if (type === 'b') coverage.b[id][index]++;
+        else coverage[type][id]++;
+        return '';
+    };
+
+    const collector = {
+        instrument,
+        hit,
+        toJSON: () => _.cloneDeep(files),
+        toLcov: () => toLcov(files)
+    };
+    collectors.push(collector);
+    return collector;
+};
+
+const mergeCoverage = (target, source) => {
+    _.forEach(source, (coverage, file) => {
+        if (!target[file]) {
+            target[file] = _.cloneDeep(coverage);
+            return;
+        }
+        ['s', 'f'].forEach(type => _.forEach(coverage[type], (count, id) => {
+            target[file][type][id] += count;
+        }));
+        _.forEach(coverage.b, (counts, id) => counts.forEach((count, index) => {
+            target[file].b[id][index] += count;
+        }));
+    });
+    return target;
+};
+
+/**
+ * Formats template coverage in the lcov tracefile format.
+ *
+ * @param {Object} coverageMap - Istanbul file coverage keyed by template path.
+ * @returns {string} The lcov tracefile.
+ */
+const toLcov = coverageMap => _.map(coverageMap, coverage => {
+    const out = ['TN:', 'SF:' + coverage.path];
+
+    _.forEach(coverage.fnMap, fn => out.push('FN:' + fn.line + ',' + fn.name));
+    _.forEach(coverage.fnMap, (fn, id) => out.push('FNDA:' + coverage.f[id] + ',' + fn.name));
+    out.push('FNF:' + _.size(coverage.f), 'FNH:' + _.filter(coverage.f).length);
+
+    let branchesHit = 0;
+    let branchesFound = 0;
+    _.forEach(coverage.branchMap, (branch, id) => {
+        coverage.b[id].forEach((count, index) => {
+            branchesFound++;
+            if (count) branchesHit++;
+            out.push('BRDA:' + branch.line + ',' + id + ',' + index + ',' + (count || '-'));
+        });
+    });
+    out.push('BRF:' + branchesFound, 'BRH:' + branchesHit);
+
+    const lines = {};
+    _.forEach(coverage.statementMap, (loc, id) => {
+        const line = loc.start.line;
+        lines[line] = Math.max(lines[line] || 0, coverage.s[id]);
+    });
+    _.forEach(lines, (count, line) => out.push('DA:' + line + ',' + count));
+    out.push('LF:' + _.size(lines), 'LH:' + _.filter(lines).length);
+
+    out.push('end_of_record');
+    return out.join('\n');
+}).join('\n') + '\n';
+
+/**
+ * Merges the template coverage collected by every renderer created in this process.
+ *
+ * @returns {Object} Istanbul file coverage keyed by template path.
+ */
+const templateCoverage = () => collectors.reduce((merged, collector) => mergeCoverage(merged, collector.toJSON()), {});
+
+/**
+ * Writes the template coverage collected by every renderer as `coverage-final.json` and `lcov.info` files.
+ *
+ * The JSON file can be copied into `.nyc_output` or merged with other Istanbul coverage by existing reporters.
+ *
+ * @param {string} [dir='coverage/templates'] - The directory to write the coverage files to.
+ * @returns {Object} The merged coverage that was written.
+ */
+const writeTemplateCoverage = (dir = path.join('coverage', 'templates')) => {
+    const coverage = templateCoverage();
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'coverage-final.json'), JSON.stringify(coverage));
+    fs.writeFileSync(path.join(dir, 'lcov.info'), toLcov(coverage));
+    return coverage;
+};
+
+module.exports = {
+    COVERAGE_GLOBAL,
+    createTemplateCoverage,
+    templateCoverage,
+    writeTemplateCoverage,
+    toLcov
+};
@@ -0,0 +1,144 @@
+'use strict';
+
+const _ = require('lodash');
+
+// the trackers created in this process while reporting is enabled, so a report can cover a whole test run
+const trackers = [];
+let reporting = false;
+
+const leafKeys = (obj, prefix) => {
+    if (!_.isPlainObject(obj)) return prefix ? [prefix] : [];
+    return _.flatMap(Object.keys(obj), key => leafKeys(obj[key], prefix ? prefix + '.' + key : key));
+};
+
+const label = (language, key) => language ? language + ':' + key : key;
+
+/**
+ * Creates a tracker that records the translation lookups made by a renderer.
+ *
+ * Each lookup is recorded as an object containing:
+ * - `keys` {string[]}: The keys that were looked up, in order.
+ * - `languages` {string[]}: The languages that were searched, in order.
+ * - `key` {string}: The key that was found, if any.
+ * - `language` {string}: The language the key was found in, if any.
+ * - `found` {boolean}: Whether a translation was found in the dictionary.
+ * - `defaulted` {boolean}: Whether the `default` option was used because no translation was found.
+ * - `source` {string}: The template, component caller body or `string` that was being rendered when the lookup was
+ *   made.
+ *
+ * The tracker is added to the process-wide `translationReport()` if `register` is true or reporting has been
+ * enabled with `enableTranslationReport()`, otherwise it is only kept by its renderer.
+ *
+ * @param {Object} dictionary - The locale dictionary, keyed by language if `languages` is not empty.
+ * @param {string[]} languages - The languages in the dictionary, or an empty array for a single language.
+ * @param {boolean} [register=false] - Whether to add the tracker to the process-wide report.
+ * @returns {Object} A tracker with `record(lookup)`, `lookups` and `report()` members.
+ */
+const createTracker = (dictionary, languages, register = false) => {
+    const tracker = {
+        dictionary,
+        languages,
+        lookups: [],
+        record: lookup => {
+            tracker.lookups.push(lookup);
+        },
+        report: () => translationReport([tracker])
+    };
+    if (register || reporting) trackers.push(tracker);
+    return tracker;
+};
+
+/**
+ * Adds the trackers of every renderer created from now on to the process-wide `translationReport()`. Trackers
+ * aren't kept otherwise, so renderers and their lookups can be garbage collected.
+ *
+ * @param {boolean} [enabled=true] - Whether to add trackers to the report.
+ * @returns {boolean} Whether reporting was enabled before.
+ */
+const enableTranslationReport = (enabled = true) => {
+    const previous = reporting;
+    reporting = enabled;
+    return previous;
+};
+
+/**
+ * Builds a translation coverage report from the lookups recorded by renderers.
+ *
+ * @param {Object[]} [fromTrackers] - The trackers to report on. Defaults to every renderer created in this process
+ *                                    while reporting was enabled.
+ * @returns {Object} The report containing:
+ *   - `unused` {Object[]}: `{ language, key }` for each dictionary key that no render looked up.
+ *   - `missing` {Object[]}: `{ language, key, sources }` for each key that was not found and had no default, or was
+ *                            only found in a fallback language.
+ *   - `defaulted` {Object[]}: `{ language, key, sources }` for each key that was only reached through `default`.
+ */
+const translationReport = (fromTrackers = trackers) => {
+    const available = {};
+    const used = new Set();
+    const missing = {};
+    const defaulted = {};
+
+    const addSource = (collection, language, key, source) => {
+        const id = label(language, key);
+        collection[id] = collection[id] || { language, key, sources: [] };
+        if (!collection[id].sources.includes(source)) collection[id].sources.push(source);
+    };
+
+    fromTrackers.forEach(tracker => {
+        const languages = tracker.languages.length ? tracker.languages : [undefined];
+        languages.forEach(language => {
+            const locale = language ? tracker.dictionary[language] : tracker.dictionary;
+            leafKeys(locale).forEach(key => {
+                available[label(language, key)] = { language, key };
+            });
+        });
+
+        tracker.lookups.forEach(lookup => {
+            if (lookup.found) {
+                const locale = lookup.language ? tracker.dictionary[lookup.language] : tracker.dictionary;
+                leafKeys(_.get(locale, lookup.key), lookup.key).forEach(key => used.add(label(lookup.language, key)));
+                if (lookup.language !== lookup.languages[0]) addSource(missing, lookup.languages[0], lookup.key, lookup.source);
+                return;
+            }
+            const collection = lookup.defaulted ? defaulted : missing;
+            addSource(collection, lookup.languages[0], lookup.keys[0], lookup.source);
+        });
+    });
+
+    return {
+        unused: _.sortBy(_.values(_.omit(available, [...used])), ['language', 'key']),
+        missing: _.sortBy(_.values(missing), ['language', 'key']),
+        defaulted: _.sortBy(_.values(defaulted), ['language', 'key'])
+    };
+};
+
+/**
+ * Formats a translation coverage report as readable text.
+ *
+ * @param {Object} report - A report returned by `translationReport()`.
+ * @returns {string} The formatted report.
+ */
+const formatTranslationReport = report => {
+    const section = (title, items) => {
+        if (!items.length) return title + ': none';
+        return title + ':\n' + items.map(item => {
+            let line = '  ' + label(item.language, item.key);
+            if (item.sources) line += ' (' + item.sources.join(', ') + ')';
+            return line;
+        }).join('\n');
+    };
+
+    return [
+        'Translation coverage',
+        section('Unused keys', report.unused),
+        section('Missing keys', report.missing),
+        section('Keys only reached through default', report.defaulted)
+    ].join('\n');
+};
+
+module.exports = {
+    createTracker,
+    enableTranslationReport,
+    translationReport,
+    formatTranslationReport
+};
@@ -0,0 +1,269 @@
+'use strict';
+
+const VOID = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+
+const RAW_TEXT = ['script', 'style', 'textarea', 'title'];
+
+// elements whose end tag can be left out
+const OPTIONAL_END = ['html', 'head', 'body', 'li', 'dt', 'dd', 'p', 'option', 'optgroup', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'colgroup', 'rt', 'rp'];
+
+// elements implicitly closed by an opening tag of the same kind
+const IMPLICIT_CLOSE = {
+    li: ['li'],
+    dt: ['dt', 'dd'],
+    dd: ['dt', 'dd'],
+    option: ['option'],
+    tr: ['tr', 'td', 'th'],
+    td: ['td', 'th'],
+    th: ['td', 'th']
+};
+
+const BLOCK = ['address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'div', 'dl', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'li', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'];
+
+// elements whose opening tag implicitly closes an open <p>
+const CLOSES_P = BLOCK.concat('dd', 'dt');
+
+// elements that can only contain phrasing content
+const PHRASING_ONLY = ['p', 'span', 'b', 'i', 'em', 'strong', 'small', 'label', 'code', 'abbr', 'q', 's', 'u', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'button'];
+
+// elements that cannot contain interactive content
+const NON_INTERACTIVE = ['a', 'button'];
+
+const INTERACTIVE = ['a', 'button', 'details', 'embed', 'iframe', 'input', 'label', 'select', 'textarea'];
+
+// elements that cannot contain another element of the same kind
+const NO_SELF_NESTING = ['form', 'label'];
+
+// elements whose children are SVG or MathML, where self-closing tags are allowed and HTML nesting rules don't apply
+const FOREIGN = ['svg', 'math'];
+
+const BOOLEAN = ['allowfullscreen', 'async', 'autofocus', 'autoplay', 'checked', 'controls', 'default', 'defer', 'disabled', 'formnovalidate', 'hidden', 'inert', 'ismap', 'itemscope', 'loop', 'multiple', 'muted', 'nomodule', 'novalidate', 'open', 'playsinline', 'readonly', 'required', 'reversed', 'selected'];
+
+const BOOLEAN_VALUES = {
+    hidden: ['until-found']
+};
+
+const ATTRIBUTE = /\s*([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/y;
+
+const position = (lineStarts, index) => {
+    let line = 0;
+    while (line + 1 < lineStarts.length && lineStarts[line + 1] <= index) line++;
+    return { line: line + 1, column: index - lineStarts[line] + 1 };
+};
+
+// find the closing > of a tag, skipping quoted attribute values
+const findTagEnd = (html, index) => {
+    let quote;
+    for (let i = index; i < html.length; i++) {
+        const c = html[i];
+        if (quote) {
+            if (c === quote) quote = undefined;
+        } else if (c === '"' || c === '\'') {
+            quote = c;
+        } else if (c === '>') {
+            return i;
+        } else if (c === '<') {
+            return -1;
+        }
+    }
+    return -1;
+};
+
+/**
+ * Validates the raw HTML string produced by a render, before it is parsed and corrected by Cheerio.
+ *
+ * The following problems are reported:
+ * - `parse`: Unclosed tags, comments and elements, stray end tags and self-closing non-void elements. Self-closing
+ *   tags are allowed inside `<svg>` and `<math>`.
+ * - `nesting`: Invalid nesting, eg a `<div>` inside a `<p>`, a `<button>` inside an `<a>` or an `<li>` outside
+ *   a list. SVG and MathML children aren't checked. Block elements close an open `<p>` as they do in a browser, so
+ *   a `<div>` is only reported inside a `<p>` if the `<p>` is closed after it.
+ * - `duplicate-attribute`: The same attribute given more than once on an element.
+ * - `boolean-attribute`: Boolean attributes with a value other than an empty string or the attribute name, eg
+ *   `disabled="false"`.
+ *
+ * @param {string} html - The rendered HTML string.
+ * @returns {Object[]} A list of errors, each containing the `type`, a `message` and the `line` and `column` in
+ *                     the HTML string.
+ *
+ * @example
+ * validateHtml('<p>\n<div>text</div></p>');
+ * // [ { type: 'nesting', message: '<div> is not allowed inside <p>', line: 2, column: 1 } ]
+ */
+const validateHtml = html => {
+    const errors = [];
+    const stack = [];
+
+    const lineStarts = [0];
+    for (let i = 0; i < html.length; i++) {
+        if (html[i] === '\n') lineStarts.push(i + 1);
+    }
+
+    const report = (type, message, index) => errors.push(Object.assign({ type, message }, position(lineStarts, index)));
+
+    const isOpen = names => stack.some(el => names.includes(el.name));
+
+    // the last opening tag that implicitly closed a <p>, reported as nested in the <p> if its end tag follows
+    let closedP;
+
+    const closesTop = (name, top) => {
+        if (IMPLICIT_CLOSE[name] && IMPLICIT_CLOSE[name].includes(top.name)) return true;
+        return top.name === 'p' && CLOSES_P.includes(name);
+    };
+
+    const checkNesting = (name, index) => {
+        const parent = stack[stack.length - 1];
+        if (BLOCK.includes(name)) {
+            const phrasing = stack.slice().reverse().find(el => PHRASING_ONLY.includes(el.name));
+            if (phrasing) report('nesting', '<' + name + '> is not allowed inside <' + phrasing.name + '>', index);
+        }
+        if (INTERACTIVE.includes(name)) {
+            const interactive = stack.slice().reverse().find(el => NON_INTERACTIVE.includes(el.name));
+            if (interactive) report('nesting', '<' + name + '> is not allowed inside <' + interactive.name + '>', index);
+        }
+        if (NO_SELF_NESTING.includes(name) && isOpen([name])) {
+            report('nesting', '<' + name + '> is not allowed inside <' + name + '>', index);
+        }
+        if (name === 'li' && (!parent || !['ul', 'ol', 'menu'].includes(parent.name))) {
+            report('nesting', '<li> is not allowed outside a list', index);
+        }
+    };
+
+    const checkAttributes = (name, attributes, index) => {
+        const seen = [];
+        ATTRIBUTE.lastIndex = 0;
+        let match;
+        while (ATTRIBUTE.lastIndex < attributes.length && (match = ATTRIBUTE.exec(attributes))) {
+            const attribute = match[1].toLowerCase();
+            const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+
+            if (seen.includes(attribute)) {
+                report('duplicate-attribute', 'Duplicate attribute ' + attribute + ' on <' + name + '>', index);
+            }
+            seen.push(attribute);
+
+            if (BOOLEAN.includes(attribute) && value !== undefined) {
+                const valid = ['', attribute].concat(BOOLEAN_VALUES[attribute] || []);
+                if (!valid.includes(value.toLowerCase())) {
+                    report('boolean-attribute', 'Invalid value "' + value + '" for boolean attribute ' + attribute + ' on <' + name + '>', index);
+                }
+            }
+        }
+    };
+
+    const unclosed = el => {
+        if (!OPTIONAL_END.includes(el.name)) report('parse', 'Unclosed element <' + el.name + '>', el.index);
+    };
+
+    let i = 0;
+    while (i < html.length) {
+        const start = html.indexOf('<', i);
+        if (start < 0) break;
+
+        if (html.startsWith('<!--', start)) {
+            const end = html.indexOf('-->', start + 4);
+            if (end < 0) {
+                report('parse', 'Unclosed comment', start);
+                break;
+            }
+            i = end + 3;
+            continue;
+        }
+
+        if (html.startsWith('<!', start)) {
+            const end = html.indexOf('>', start);
+            i = end < 0 ? html.length : end + 1;
+            continue;
+        }
+
+        const endTag = /^<\/([a-zA-Z][\w-]*)\s*>/.exec(html.substr(start, 200));
+        if (endTag) {
+            const name = endTag[1].toLowerCase();
+            let depth = stack.length - 1;
+            while (depth >= 0 && stack[depth].name !== name) depth--;
+            if (depth < 0 && name === 'p' && closedP) {
+                report('nesting', '<' + closedP.name + '> is not allowed inside <p>', closedP.index);
+                closedP = undefined;
+            } else if (depth < 0) {
+                report('parse', 'Stray end tag </' + name + '>', start);
+            } else {
+                stack.splice(depth + 1).reverse().forEach(unclosed);
+                stack.pop();
+            }
+            i = start + endTag[0].length;
+            continue;
+        }
+
+        const startTag = /^<([a-zA-Z][\w-]*)/.exec(html.substr(start, 200));
+        if (!startTag) {
+            i = start + 1;
+            continue;
+        }
+
+        const name = startTag[1].toLowerCase();
+        const end = findTagEnd(html, start + startTag[0].length);
+        if (end < 0) {
+            report('parse', 'Unclosed tag <' + name + '>', start);
+            i = start + startTag[0].length;
+            continue;
+        }
+
+        let attributes = html.substring(start + startTag[0].length, end);
+        const selfClosing = /\/\s*$/.test(attributes);
+        if (selfClosing) attributes = attributes.replace(/\/\s*$/, '');
+
+        const inForeign = isOpen(FOREIGN);
+        const top = stack[stack.length - 1];
+        if (!inForeign && top && closesTop(name, top)) {
+            if (top.name === 'p') closedP = { name, index: start };
+            stack.pop();
+        }
+
+        if (!inForeign) checkNesting(name, start);
+        checkAttributes(name, attributes, start);
+
+        i = end + 1;
+
+        if (VOID.includes(name)) continue;
+
+        if (inForeign || FOREIGN.includes(name)) {
+            if (!selfClosing) stack.push({ name, index: start });
+            continue;
+        }
+
+        if (selfClosing) {
+            report('parse', 'Self-closing syntax used on non-void element <' + name + '>', start);
+            continue;
+        }
+
+        if (RAW_TEXT.includes(name)) {
+            const rawEnd = html.toLowerCase().indexOf('</' + name, i);
+            if (rawEnd < 0) {
+                report('parse', 'Unclosed element <' + name + '>', start);
+                break;
+            }
+            i = rawEnd;
+        }
+
+        stack.push({ name, index: start });
+    }
+
+    stack.reverse().forEach(unclosed);
+
+    return errors;
+};
+
+/**
+ * Formats HTML validation errors as readable text.
+ *
+ * @param {Object[]} errors - Errors returned by `validateHtml()`.
+ * @returns {string} The formatted errors.
+ */
+const formatHtmlErrors = errors => errors
+    .map(error => '  ' + error.line + ':' + error.column + ' ' + error.message)
+    .join('\n');
+
+module.exports = {
+    validateHtml,
+    formatHtmlErrors
+};
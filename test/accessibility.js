@@ -0,0 +1,123 @@
+const path = require('path');
+const chai = require('chai');
+const expect = chai.expect;
+
+let nunjucksTest = require('../');
+
+describe('accessibility check', () => {
+    const check = html => nunjucksTest.accessibilityCheck(nunjucksTest.loadHtml(html));
+
+    it('returns no violations for accessible html', () => {
+        expect(check(
+            '<h1>Title</h1><h2>Sub</h2>' +
+            '<img src="a.png" alt="">' +
+            '<fieldset><legend>Name</legend>' +
+            '<label for="name">Name</label><input id="name" aria-describedby="hint"><span id="hint">Hint</span>' +
+            '<label>Age <input name="age"></label>' +
+            '<input type="hidden" name="csrf">' +
+            '</fieldset>' +
+            '<a href="/">Home</a><a href="/back" aria-label="Back"></a><button><img src="x.png" alt="Go"></button>'
+        )).to.eql([]);
+    });
+
+    it('finds images without alt', () => {
+        expect(check('<img src="a.png">')).to.eql([
+            { rule: 'image-alt', message: 'Image has no alt attribute', element: '<img src="a.png">' }
+        ]);
+    });
+
+    it('finds form controls without labels', () => {
+        expect(check('<input id="a"><select></select><textarea id="b"></textarea><label for="b">B</label>')).to.eql([
+            { rule: 'label', message: 'Form control has no associated label', element: '<input id="a">' },
+            { rule: 'label', message: 'Form control has no associated label', element: '<select>' }
+        ]);
+    });
+
+    it('finds duplicate ids', () => {
+        expect(check('<p id="a">1</p><p id="a">2</p>')).to.eql([
+            { rule: 'duplicate-id', message: 'Duplicate id "a"', element: '<p id="a">' }
+        ]);
+    });
+
+    it('finds aria references to missing ids', () => {
+        expect(check('<p id="a" aria-describedby="a b">1</p><p aria-labelledby="c">2</p>')).to.eql([
+            { rule: 'aria-reference', message: 'aria-describedby references missing id "b"', element: '<p id="a" aria-describedby="a b">' },
+            { rule: 'aria-reference', message: 'aria-labelledby references missing id "c"', element: '<p aria-labelledby="c">' }
+        ]);
+    });
+
+    it('finds skipped heading levels', () => {
+        expect(check('<h1>1</h1><h3>3</h3><h2>2</h2><h3>3</h3>')).to.eql([
+            { rule: 'heading-order', message: 'Heading level h3 skips a level', element: '<h3>' }
+        ]);
+    });
+
+    it('finds empty links and buttons', () => {
+        expect(check('<a href="/"> </a><button><img src="a.png" alt=""></button>')).to.eql([
+            { rule: 'empty-link', message: 'Link has no text', element: '<a href="/">' },
+            { rule: 'empty-button', message: 'Button has no text', element: '<button>' }
+        ]);
+    });
+
+    it('finds fieldsets without a legend', () => {
+        expect(check('<fieldset><p>text</p></fieldset>')).to.eql([
+            { rule: 'fieldset-legend', message: 'Fieldset has no legend', element: '<fieldset>' }
+        ]);
+    });
+
+    describe('render', () => {
+        let render;
+
+        beforeEach(() => {
+            render = nunjucksTest.renderer(
+                [
+                    path.resolve(__dirname, 'views')
+                ],
+                [
+                    path.resolve(__dirname, 'locale', 'locale1.json'),
+                    path.resolve(__dirname, 'locale', 'locale2.json')
+                ],
+                undefined,
+                undefined,
+                { accessibility: true }
+            );
+        });
+
+        it('throws an error for accessibility violations', () => {
+            expect(() => render({ string: '<img src="a.png">' })).to.throw(
+                'Accessibility violations in string:\n  image-alt: Image has no alt attribute <img src="a.png">'
+            );
+        });
+
+        it('attaches the violations to the error', () => {
+            try {
+                render({ string: '<img src="a.png">' });
+            } catch (err) {
+                expect(err.violations).to.have.lengthOf(1);
+                return;
+            }
+            throw new Error('Expected an error');
+        });
+
+        it('can be disabled for a render', () => {
+            let $ = render({ string: '<img src="a.png">', accessibility: false });
+            expect($('img').length).to.equal(1);
+        });
+
+        it('still supports the realistic flag', () => {
+            render = nunjucksTest.renderer(
+                [
+                    path.resolve(__dirname, 'views')
+                ],
+                [
+                    path.resolve(__dirname, 'locale', 'locale1.json')
+                ],
+                undefined,
+                undefined,
+                { realistic: true }
+            );
+            let $ = render({ string: '<b>{{translate("missing")}}</b>' });
+            expect(nunjucksTest.cleanHtml($('body'))).to.equal('<b>missing</b>');
+        });
+    });
+});
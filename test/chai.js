@@ -0,0 +1,83 @@
+const chai = require('chai');
+const expect = chai.expect;
+
+let nunjucksTest = require('../');
+
+chai.use(nunjucksTest.chaiPlugin);
+
+describe('chai plugin', () => {
+    let $;
+
+    beforeEach(() => {
+        $ = nunjucksTest.loadHtml(
+            '<div class="govuk-form-group govuk-form-group--error">' +
+            '<label for="name">Name</label>' +
+            '<p class="govuk-error-message">\n  Enter your   name\n</p>' +
+            '<input id="name" name="name" class="govuk-input">' +
+            '<ul><li>one</li><li>two</li></ul>' +
+            '</div>'
+        );
+    });
+
+    it('asserts an element exists', () => {
+        expect($).to.contain.element('.govuk-error-message');
+        expect($).to.not.contain.element('.govuk-hint');
+    });
+
+    it('fails with the formatted document if an element is missing', () => {
+        expect(() => expect($('ul')).to.contain.element('.govuk-hint'))
+            .to.throw('expected HTML to contain element .govuk-hint:\n<ul>\n<li>one</li>\n<li>two</li>\n</ul>');
+    });
+
+    it('asserts the normalised text of an element', () => {
+        expect($).to.contain.element('.govuk-error-message').with.text('Enter your name');
+        expect($).to.contain.element('.govuk-error-message').that.contains.text('your');
+        expect($).to.contain.element('.govuk-error-message').with.text(/^Enter/);
+        expect($('label')).to.not.have.text('Age');
+    });
+
+    it('fails with the fragment if text does not match', () => {
+        expect(() => expect($).to.contain.element('label').with.text('Age'))
+            .to.throw('expected text to equal \'Age\' but got \'Name\':\n<label for="name">Name</label>');
+    });
+
+    it('asserts attributes', () => {
+        expect($).to.contain.element('input').with.attr('name', 'name');
+        expect($).to.contain.element('input').with.attr('id');
+        expect($('input')).to.not.have.attr('disabled');
+        expect($('input')).to.not.have.attr('name', 'age');
+    });
+
+    it('fails if the attribute value does not match', () => {
+        expect(() => expect($('input')).to.have.attr('name', 'age'))
+            .to.throw('expected attribute name to equal \'age\' but got \'name\'');
+    });
+
+    it('asserts classes', () => {
+        expect($).to.contain.element('input').with.class('govuk-input');
+        expect($('input')).to.not.have.class('govuk-input--error');
+        expect(() => expect($('input')).to.have.class('govuk-input--error'))
+            .to.throw('expected element to have class govuk-input--error:\n<input id="name" name="name" class="govuk-input">');
+    });
+
+    it('asserts the number of elements', () => {
+        expect($).to.contain.element('li').count(2);
+        expect(() => expect($('li')).to.have.count(3)).to.throw('expected 3 elements but found 2');
+    });
+
+    it('asserts cleaned html', () => {
+        expect($('ul')).html.to.equal('<li>one</li><li>two</li>');
+        expect($).to.contain.element('label').and.html.equal('Name');
+        expect(() => expect($('ul')).html.to.equal('<li>one</li>'))
+            .to.throw('expected HTML to equal \'<li>one</li>\' but got \'<li>one</li><li>two</li>\'');
+    });
+
+    it('leaves other equal assertions unchanged', () => {
+        expect('a').to.equal('a');
+        expect([1]).to.not.equal([1]);
+    });
+
+    it('throws an error for objects that are not cheerio', () => {
+        expect(() => expect({}).to.have.count(1)).to.throw('Expected a Cheerio document or selection');
+    });
+});
@@ -0,0 +1,174 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const chai = require('chai');
+const expect = chai.expect;
+
+const { parseArguments, watch, run } = require('../lib/cli');
+
+describe('command line renderer', () => {
+    const views = path.resolve(__dirname, 'views');
+    const data = path.resolve(__dirname, 'preview');
+    let streams;
+
+    const output = () => ({ stdout: streams.stdout.text, stderr: streams.stderr.text });
+
+    beforeEach(() => {
+        const stream = () => ({ text: '', write(chunk) { this.text += chunk; } });
+        streams = { stdout: stream(), stderr: stream() };
+    });
+
+    it('parses repeated views and locales', () => {
+        const args = parseArguments(['--views', 'a', '--views', 'b', '--locales', 'en.json', '--realistic', '--template', 't.html']);
+
+        expect(args).to.include({ realistic: true, template: 't.html' });
+        expect(args.views).to.eql(['a', 'b']);
+        expect(args.locales).to.eql(['en.json']);
+    });
+
+    it('requires views and exactly one of template, string or component', () => {
+        expect(() => parseArguments(['--template', 't.html'])).to.throw('--views is required');
+        expect(() => parseArguments(['--views', 'a'])).to.throw('One of --template, --string or --component is required');
+        expect(() => parseArguments(['--views', 'a', '--template', 't', '--string', 's']))
+            .to.throw('One of --template, --string or --component is required');
+    });
+
+    it('prints usage for invalid arguments', () => {
+        expect(run(['--views', views, '--unknown'], streams)).to.equal(2);
+        expect(output().stderr).to.contain('Unknown option \'--unknown\'').and.contain('Usage: hmpo-nunjucks-test');
+    });
+
+    it('renders a component with params from a YAML file', () => {
+        const code = run(['--views', views, '--component', 'testComponent', '--ctx', '--params', path.join(data, 'params.yaml')], streams);
+
+        expect(code).to.equal(0);
+        expect(output().stdout).to.equal('<pre>{"a":1,"b":"two"}</pre>\n<p>[test2]</p>\n<p>[test3]</p>\n');
+    });
+
+    it('renders a component with a caller', () => {
+        run(['--views', views, '--component', 'callerComponent', '--caller', '<b>text</b>'], streams);
+
+        expect(output().stdout).to.equal('<pre><b>text</b>\n</pre>\n');
+    });
+
+    it('renders a string with context from a JSON file', () => {
+        run(['--views', views, '--string', '<p>{{ name }}</p>', '--context', path.join(data, 'context.json')], streams);
+
+        expect(output().stdout).to.equal('<p>Sam</p>\n');
+    });
+
+    it('renders a template as a document with realistic translations', () => {
+        run([
+            '--views', views,
+            '--locales', path.resolve(__dirname, 'locale', 'locale1.json'),
+            '--realistic',
+            '--template', 'test.html'
+        ], streams);
+
+        expect(output().stdout).to.equal('<html>\n<head></head>\n<body><p>html foo</p>\n</body>\n</html>\n');
+    });
+
+    it('groups locales prefixed with a language', () => {
+        run([
+            '--views', views,
+            '--locales', 'en=' + path.resolve(__dirname, 'languages', 'en.yaml'),
+            '--locales', 'cy=' + path.resolve(__dirname, 'languages', 'cy.yaml'),
+            '--language', 'cy',
+            '--realistic',
+            '--string', '<p>{{ translate("title") }}</p><p>{{ translate("body") }}</p>'
+        ], streams);
+
+        expect(output().stdout).to.equal('<p>Teitl Cymraeg</p>\n<p>English body</p>\n');
+    });
+
+    it('starts the component gallery', done => {
+        const stop = run(['--views', views, '--gallery', '--port', '0'], {
+            stdout: {
+                write(text) {
+                    expect(text).to.match(/^Component gallery running at http:\/\/localhost:\d+\/\n$/);
+                    stop();
+                    done();
+                }
+            },
+            stderr: streams.stderr
+        });
+    });
+
+    it('prints usage for an invalid gallery port', () => {
+        expect(() => parseArguments(['--views', 'a', '--gallery', '--port', 'abc']))
+            .to.throw('--port must be a number from 0 to 65535');
+        expect(run(['--views', views, '--gallery', '--port', '70000'], streams)).to.equal(2);
+        expect(output().stderr).to.contain('--port must be a number from 0 to 65535').and.contain('Usage: hmpo-nunjucks-test');
+    });
+
+    it('prints an error if the gallery port is in use', done => {
+        const busy = http.createServer().listen(0, () => {
+            const stop = run(['--views', views, '--gallery', '--port', String(busy.address().port)], {
+                stdout: streams.stdout,
+                stderr: streams.stderr,
+                exit: code => {
+                    expect(code).to.equal(1);
+                    expect(output().stderr).to.contain('EADDRINUSE');
+                    stop();
+                    busy.close(done);
+                }
+            });
+        });
+    });
+
+    it('prints render errors', () => {
+        expect(run(['--views', views, '--template', 'missing.html'], streams)).to.equal(1);
+        expect(output().stderr).to.contain('template not found: missing.html');
+    });
+
+    describe('watch', () => {
+        let dir;
+        let stop;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'views-'));
+            fs.writeFileSync(path.join(dir, 'page.html'), '<p>one</p>');
+        });
+
+        afterEach(() => {
+            if (stop) stop();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('renders again when a view changes', done => {
+            let count = 0;
+            stop = run(['--views', dir, '--template', 'page.html', '--watch'], {
+                stdout: {
+                    write(text) {
+                        count++;
+                        if (count === 1) {
+                            expect(text).to.contain('<p>one</p>');
+                            fs.writeFileSync(path.join(dir, 'page.html'), '<p>two</p>');
+                        } else if (count === 2) {
+                            expect(text).to.contain('<p>two</p>');
+                            done();
+                        }
+                    }
+                },
+                stderr: streams.stderr
+            });
+        });
+
+        it('prints an error if a file to watch does not exist', () => {
+            const params = path.join(dir, 'missing.yaml');
+
+            expect(run(['--views', dir, '--template', 'page.html', '--params', params, '--watch'], streams)).to.equal(1);
+            expect(output().stdout).to.equal('');
+            expect(output().stderr).to.equal('Cannot watch ' + params + ': ENOENT: no such file or directory, stat \'' +
+                params + '\'\n');
+        });
+
+        it('returns a function that stops watching', () => {
+            let count = 0;
+            stop = watch({ views: [dir] }, () => count++);
+            expect(count).to.equal(1);
+            expect(stop).to.be.a('function');
+        });
+    });
+});
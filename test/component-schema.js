@@ -0,0 +1,151 @@
+const path = require('path');
+const chai = require('chai');
+const expect = chai.expect;
+
+let nunjucksTest = require('../');
+const { generateParams, seededRandom, validateParams } = require('../lib/component-schema');
+
+describe('component params schemas', () => {
+    let render;
+
+    beforeEach(() => {
+        render = nunjucksTest.renderer(path.resolve(__dirname, 'schema-views'), undefined, {}, {});
+    });
+
+    describe('render', () => {
+        it('renders params that match the schema', () => {
+            const $ = render({ component: 'card', params: { title: 'Apply', href: '/start', tags: ['new'], count: 2 } });
+
+            expect($('h2 a').attr('href')).to.equal('/start');
+            expect($('li').text()).to.equal('new');
+        });
+
+        it('throws an error listing every invalid param', () => {
+            let err;
+            try {
+                render({ component: 'card', params: { title: 5, href: 'start', tags: ['a', 1], count: 6 } });
+            } catch (e) {
+                err = e;
+            }
+
+            expect(err.message).to.equal('Invalid params for card:\n' +
+                '  params.title should be string but is integer\n' +
+                '  params.href should match ^/\n' +
+                '  params.tags[1] should be string but is integer\n' +
+                '  params.count should be at most 5');
+            expect(err.paramErrors[0]).to.deep.equal({ path: 'params.title', message: 'should be string but is integer' });
+        });
+
+        it('throws an error for missing required params', () => {
+            expect(() => render({ component: 'card', params: {} }))
+                .to.throw('Invalid params for card:\n  params should have required property title');
+        });
+
+        it('warns about params the schema does not list', () => {
+            const details = render.detailed({
+                component: 'card',
+                params: { title: 'Apply', colour: 'red', attributes: { 'data-id': '1' } }
+            });
+
+            expect(details.warnings).to.deep.equal([
+                { type: 'component-params-unknown', message: 'Unknown param params.colour for card' }
+            ]);
+        });
+
+        it('adds the unknown param warnings to the rendered document', () => {
+            const $ = render({ component: 'card', params: { title: 'Apply', colour: 'red' } });
+
+            expect($.warnings).to.deep.equal([
+                { type: 'component-params-unknown', message: 'Unknown param params.colour for card' }
+            ]);
+        });
+
+        it('does not validate params if validateParams is false', () => {
+            const $ = render({ component: 'card', params: { title: 5 }, validateParams: false });
+
+            expect($('h2').text()).to.equal('5');
+        });
+    });
+
+    describe('fuzzComponent', () => {
+        it('renders schema-valid params without failures', () => {
+            const report = render.fuzzComponent('card', 20);
+
+            expect(report).to.deep.equal({ component: 'card', seed: 1, runs: 20, failures: [] });
+        });
+
+        it('reports params that throw or produce invalid HTML', () => {
+            const report = render.fuzzComponent('brokenCard', 20);
+            const invalidHtml = report.failures.filter(failure => failure.htmlErrors);
+            const thrown = report.failures.filter(failure => !failure.htmlErrors);
+
+            expect(invalidHtml).to.not.be.empty;
+            invalidHtml.forEach(failure => {
+                expect(failure.params.open).to.equal(true);
+                expect(failure.message).to.contain('Unclosed element <details>');
+            });
+            expect(thrown).to.not.be.empty;
+            thrown.forEach(failure => {
+                expect(failure.params.title).to.equal(undefined);
+                expect(failure.message).to.contain('Unable to call `params["title"]["toUpperCase"]`');
+            });
+        });
+
+        it('generates the same params for the same seed', () => {
+            const first = render.fuzzComponent('brokenCard', 10, { seed: 42 });
+            const second = render.fuzzComponent('brokenCard', 10, { seed: 42 });
+
+            expect(first.seed).to.equal(42);
+            expect(first).to.deep.equal(second);
+        });
+
+        it('throws an error for components without a schema', () => {
+            render = nunjucksTest.renderer(path.resolve(__dirname, 'views'), undefined, {}, {});
+
+            expect(() => render.fuzzComponent('callerComponent')).to.throw('Component callerComponent does not have a params schema');
+        });
+    });
+
+    describe('generated params', () => {
+        it('are valid for the schema', () => {
+            const schema = {
+                type: 'object',
+                required: ['id', 'items'],
+                properties: {
+                    id: { type: 'string', pattern: '^[a-z]+$', examples: ['name'] },
+                    size: { enum: ['s', 'm', 'l'] },
+                    text: { anyOf: [{ type: 'string', maxLength: 3 }, { type: 'null' }] },
+                    items: { type: 'array', minItems: 1, items: { type: 'object', properties: { value: { type: 'number', minimum: 1 } } } }
+                }
+            };
+            const random = seededRandom(7);
+
+            for (let i = 0; i < 50; i++) {
+                const params = generateParams(schema, random);
+                expect(validateParams(schema, params)).to.deep.equal({ errors: [], unknownKeys: [] });
+            }
+        });
+
+        it('generates numbers within a single bound outside the default range', () => {
+            const schemas = [
+                { type: 'integer', minimum: 5000 },
+                { type: 'number', maximum: -5000 },
+                { type: 'integer', minimum: -2000 },
+                { type: 'number', maximum: 2000 }
+            ];
+            const random = seededRandom(3);
+
+            schemas.forEach(schema => {
+                for (let i = 0; i < 20; i++) {
+                    const params = generateParams(schema, random);
+                    expect(validateParams(schema, params).errors).to.deep.equal([]);
+                }
+            });
+        });
+
+        it('throws an error for patterns without examples', () => {
+            expect(() => generateParams({ type: 'string', pattern: '^a' }, seededRandom(1)))
+                .to.throw('Cannot generate a string for params matching ^a, add examples to the schema');
+        });
+    });
+});
@@ -0,0 +1,51 @@
+const path = require('path');
+const chai = require('chai');
+const expect = chai.expect;
+
+let nunjucksTest = require('../');
+const { componentFixtures, checkFixture } = require('../lib/describe-components');
+
+const views = path.resolve(__dirname, 'views');
+const locales = [
+    path.resolve(__dirname, 'locale', 'locale1.json'),
+    path.resolve(__dirname, 'locale', 'locale2.json')
+];
+
+describe('component fixtures', () => {
+    let render;
+
+    beforeEach(() => {
+        render = nunjucksTest.renderer([views], locales);
+    });
+
+    it('finds fixtures next to component macros', () => {
+        const components = componentFixtures(views);
+
+        expect(components.map(c => c.component)).to.eql(['callerComponent', 'testComponent']);
+        expect(components[0].file).to.equal(path.resolve(views, 'caller-component', 'fixtures.json'));
+        expect(components[1].fixtures[0].name).to.equal('renders params');
+    });
+
+    it('fails if the html does not match', () => {
+        expect(() => checkFixture(render, 'callerComponent', {
+            caller: 'text',
+            html: '<pre>other</pre>'
+        })).to.throw('Expected values to be strictly equal');
+    });
+
+    it('fails if a selector does not match', () => {
+        expect(() => checkFixture(render, 'callerComponent', {
+            caller: 'text',
+            selectors: { 'pre': { attr: { id: 'a' } } }
+        })).to.throw('Attribute id of pre');
+
+        expect(() => checkFixture(render, 'callerComponent', {
+            caller: 'text',
+            selectors: { 'p': 'text' }
+        })).to.throw('Expected an element matching p');
+    });
+});
+
+describe('describeComponents', () => {
+    nunjucksTest.describeComponents(views, { locales });
+});
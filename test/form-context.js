@@ -0,0 +1,108 @@
+const path = require('path');
+const chai = require('chai');
+const expect = chai.expect;
+
+let nunjucksTest = require('../');
+
+describe('form context', () => {
+    it('builds the form wizard context from a spec', () => {
+        const context = nunjucksTest.formContext({
+            fields: {
+                name: 'text',
+                age: { type: 'number', errorGroup: 'details' }
+            },
+            values: { name: 'Sam' },
+            errors: {
+                name: 'required',
+                age: { type: 'min', args: { min: 18 } }
+            },
+            errorValues: { age: '12' }
+        });
+
+        expect(context).to.eql({
+            options: {
+                fields: {
+                    name: { type: 'text' },
+                    age: { type: 'number', errorGroup: 'details' }
+                }
+            },
+            values: { name: 'Sam' },
+            errorValues: { age: '12' },
+            errors: {
+                name: { key: 'name', type: 'required' },
+                age: { key: 'age', errorGroup: 'details', type: 'min', args: { min: 18 } }
+            },
+            errorlist: [
+                { key: 'name', type: 'required' },
+                { key: 'age', errorGroup: 'details', type: 'min', args: { min: 18 } }
+            ]
+        });
+    });
+
+    it('builds an empty context', () => {
+        expect(nunjucksTest.formContext()).to.eql({
+            options: { fields: {} },
+            values: {},
+            errorValues: {},
+            errors: {},
+            errorlist: []
+        });
+    });
+
+    describe('render form option', () => {
+        let render;
+
+        beforeEach(() => {
+            render = nunjucksTest.renderer(
+                path.resolve(__dirname, 'views'),
+                [path.resolve(__dirname, 'i18n', 'form.yaml')],
+                undefined,
+                undefined,
+                true
+            );
+        });
+
+        it('renders field errors with messages from the dictionary', () => {
+            const $ = render({
+                template: 'form.html',
+                form: { fields: { name: 'text' }, values: { name: 'Sam' }, errors: { name: 'required' } }
+            });
+
+            expect($('.error').text().trim()).to.equal('Enter your full name');
+            expect($('.summary a').attr('href')).to.equal('#name');
+            expect($('.summary a').text()).to.equal('Your full name is missing');
+            expect($('input').attr('value')).to.equal('Sam');
+            expect($('input').attr('data-type')).to.equal('text');
+        });
+
+        it('interpolates error args', () => {
+            const $ = render({
+                template: 'form.html',
+                form: { fields: { name: 'text' }, errors: { name: { type: 'min', args: { min: 18 } } } }
+            });
+
+            expect($('.error').text().trim()).to.equal('Must be at least 18');
+        });
+
+        it('renders without errors', () => {
+            const $ = render({ template: 'form.html', form: { values: { name: 'Sam' } } });
+
+            expect($('.error')).to.have.lengthOf(0);
+            expect($('.summary li')).to.have.lengthOf(0);
+        });
+
+        it('keeps options from the render context', () => {
+            const $ = render({
+                template: 'form.html',
+                form: { fields: { name: 'text' } }
+            }, {
+                options: { route: '/name' },
+                values: { name: 'Alex' }
+            });
+
+            expect($('input').attr('data-type')).to.equal('text');
+            expect($('input').attr('data-route')).to.equal('/name');
+            expect($('input').attr('value')).to.equal('Alex');
+        });
+    });
+});
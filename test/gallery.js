@@ -0,0 +1,125 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const chai = require('chai');
+const expect = chai.expect;
+
+const { gallery } = require('../lib/gallery');
+
+describe('component gallery', () => {
+    const views = path.resolve(__dirname, 'views');
+    let server;
+
+    const get = async url => {
+        const res = await fetch('http://localhost:' + server.address().port + url);
+        return { status: res.status, html: await res.text() };
+    };
+
+    beforeEach(done => {
+        server = gallery(views, {
+            locales: {
+                en: [path.resolve(__dirname, 'languages', 'en.yaml')],
+                cy: [path.resolve(__dirname, 'languages', 'cy.yaml')]
+            }
+        }).listen(0, done);
+    });
+
+    afterEach(done => {
+        server.close(done);
+    });
+
+    it('lists every component with the number of examples', async () => {
+        const { status, html } = await get('/');
+
+        expect(status).to.equal(200);
+        expect(html).to.contain('<a href="/components/testComponent">testComponent</a> (2 examples)');
+        expect(html).to.contain('<a href="/components/callerComponent">callerComponent</a> (1 example)');
+        expect(html).to.contain('<a href="/components/govukButton">govukButton</a> (0 examples)');
+        expect(html).to.contain('<a href="/components/hmpoDateInput">hmpoDateInput</a> (0 examples)');
+    });
+
+    it('renders each example next to its formatted source', async () => {
+        const { html } = await get('/components/callerComponent');
+
+        expect(html).to.contain('<h2>renders the caller</h2>');
+        expect(html).to.contain('<iframe title="renders the caller" srcdoc="&lt;html&gt;&lt;head&gt;&lt;/head&gt;&lt;body&gt;&lt;pre&gt;caller text&lt;/pre&gt;');
+        expect(html).to.contain('<pre>&lt;pre&gt;caller text&lt;/pre&gt;</pre>');
+    });
+
+    it('switches between strict, realistic and pseudo translations', async () => {
+        let { html } = await get('/components/testComponent');
+        expect(html).to.contain('<strong>Mode:</strong><strong>strict</strong><a href="/components/testComponent?mode=realistic">realistic</a>');
+        expect(html).to.contain('<pre>&lt;pre&gt;{&quot;a&quot;:1,&quot;b&quot;:2}&lt;/pre&gt;\n&lt;p&gt;[test2]&lt;/p&gt;');
+
+        ({ html } = await get('/components/testComponent?mode=realistic'));
+        expect(html).to.contain('<a href="/components/testComponent?mode=strict">strict</a><strong>realistic</strong>');
+        expect(html).to.contain('&lt;p&gt;test2&lt;/p&gt;');
+
+        ({ html } = await get('/components/testComponent?mode=pseudo'));
+        expect(html).to.contain('<a href="/components/testComponent?mode=realistic">realistic</a><strong>pseudo</strong>');
+        expect(html).to.contain('&lt;p&gt;test2&lt;/p&gt;');
+    });
+
+    it('switches language', async () => {
+        let { html } = await get('/components/testComponent');
+        expect(html).to.contain('<strong>Language:</strong><strong>en</strong><a href="/components/testComponent?mode=strict&amp;language=cy">cy</a>');
+
+        ({ html } = await get('/components/testComponent?mode=realistic&language=cy'));
+        expect(html).to.contain('<a href="/components/testComponent?mode=realistic&amp;language=en">en</a><strong>cy</strong>');
+    });
+
+    it('renders components named by their macro from the macro file', async () => {
+        const { html } = await get('/components/govukButton');
+
+        expect(html).to.contain('<h2>Example 1</h2>');
+        expect(html).to.contain('<pre>&lt;button&gt;&lt;/button&gt;</pre>');
+    });
+
+    it('shows render errors', async () => {
+        const render = () => {
+            throw new Error('Broken <component>');
+        };
+        render.languages = [];
+        await new Promise(resolve => server.close(resolve));
+        server = gallery(views, { render });
+        await new Promise(resolve => server.listen(0, resolve));
+
+        const { html } = await get('/components/callerComponent');
+
+        expect(html).to.contain('<h2>renders the caller</h2>');
+        expect(html).to.contain('<pre class="error">Broken &lt;component&gt;</pre>');
+    });
+
+    it('returns bad request for invalid component URLs', async () => {
+        const { status, html } = await get('/components/%E0%A4%A');
+
+        expect(status).to.equal(400);
+        expect(html).to.contain('/components/%E0%A4%A is not a valid component URL');
+    });
+
+    it('shows errors loading fixtures without stopping the server', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gallery-'));
+        fs.mkdirSync(path.join(dir, 'broken'));
+        fs.writeFileSync(path.join(dir, 'broken', 'macro.njk'), '{% macro broken(params) %}{% endmacro %}');
+        fs.writeFileSync(path.join(dir, 'broken', 'fixtures.yaml'), 'fixtures: [');
+        await new Promise(resolve => server.close(resolve));
+        server = gallery(dir);
+        await new Promise(resolve => server.listen(0, resolve));
+
+        try {
+            const { status, html } = await get('/');
+            expect(status).to.equal(500);
+            expect(html).to.contain('<pre class="error">Error loading fixtures file ' + path.join(dir, 'broken', 'fixtures.yaml'));
+            expect((await get('/components/broken')).status).to.equal(500);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('returns not found for unknown components', async () => {
+        const { status, html } = await get('/components/unknown');
+
+        expect(status).to.equal(404);
+        expect(html).to.contain('/components/unknown was not found');
+    });
+});
@@ -0,0 +1,90 @@
+const chai = require('chai');
+const expect = chai.expect;
+
+let nunjucksTest = require('../');
+
+describe('htmlEqual', () => {
+    const $ = nunjucksTest.loadHtml(
+        '<div id="name-1" class="govuk-form-group govuk-form-group--error">' +
+        '<label for="name">Name</label>' +
+        '<p class="govuk-error-message">\n  Don&#x2019;t   leave this empty\n</p>' +
+        '<!-- a comment -->' +
+        '<ul><li>one</li><li>two</li></ul>' +
+        '</div>'
+    );
+
+    it('ignores attribute order, class order, whitespace, entities and comments', () => {
+        const result = nunjucksTest.htmlEqual($, `
+            <div class="govuk-form-group--error govuk-form-group" id="name-1">
+                <label for="name">Name</label>
+                <p class="govuk-error-message">Don’t leave this empty</p>
+                <ul>
+                    <li>one</li>
+                    <li>two</li>
+                </ul>
+            </div>
+        `);
+
+        expect(result).to.eql({ equal: true });
+    });
+
+    it('keeps whitespace in preformatted text', () => {
+        expect(nunjucksTest.htmlEqual('<pre>a  b</pre>', '<pre>a  b</pre>').equal).to.be.true;
+        expect(nunjucksTest.htmlEqual('<pre>a  b</pre>', '<pre>a b</pre>').equal).to.be.false;
+    });
+
+    it('compares the contents of a selection', () => {
+        expect(nunjucksTest.htmlEqual($('ul'), '<li>one</li> <li>two</li>').equal).to.be.true;
+    });
+
+    it('compares the contents of the first element of a selection', () => {
+        expect(nunjucksTest.htmlEqual($('li'), 'one').equal).to.be.true;
+    });
+
+    it('ignores attributes', () => {
+        const expected = '<div id="name-2" class="govuk-form-group govuk-form-group--error">' +
+            '<label for="name">Name</label><p class="govuk-error-message">Don’t leave this empty</p>' +
+            '<ul><li>one</li><li>two</li></ul></div>';
+
+        expect(nunjucksTest.htmlEqual($, expected).equal).to.be.false;
+        expect(nunjucksTest.htmlEqual($, expected, { ignoreAttributes: ['id'] }).equal).to.be.true;
+        expect(nunjucksTest.htmlEqual($, expected, { ignoreAttributes: [/^i/] }).equal).to.be.true;
+    });
+
+    it('reports the path to a different text node with a tree diff', () => {
+        const result = nunjucksTest.htmlEqual($('ul'), '<li>one</li><li>three</li>');
+
+        expect(result.equal).to.be.false;
+        expect(result.path).to.equal('li:nth-child(2) > #text');
+        expect(result.difference).to.equal('Expected text "three" but found text "two"');
+        expect(result.diff).to.equal('  <li>\n    "one"\n  <li>\n-   "three"\n+   "two"');
+        expect(result.message).to.equal('HTML differs at li:nth-child(2) > #text: Expected text "three" but found text "two"\n' + result.diff);
+    });
+
+    it('reports different attributes', () => {
+        expect(nunjucksTest.htmlEqual('<a href="/a" class="x">a</a>', '<a href="/b" class="x">a</a>')).to.include({
+            path: 'a.x',
+            difference: 'Expected attribute href="/b" but found href="/a"'
+        });
+        expect(nunjucksTest.htmlEqual('<a>a</a>', '<a href="/b">a</a>').difference).to.equal('Missing attribute href="/b"');
+        expect(nunjucksTest.htmlEqual('<a id="a">a</a>', '<a>a</a>')).to.include({
+            path: 'a#a',
+            difference: 'Unexpected attribute id="a"'
+        });
+    });
+
+    it('reports different, missing and unexpected elements', () => {
+        expect(nunjucksTest.htmlEqual('<p>a</p><div>b</div>', '<p>a</p><span>b</span>')).to.include({
+            path: 'div:nth-child(2)',
+            difference: 'Expected <span> but found <div>'
+        });
+        expect(nunjucksTest.htmlEqual('<p>a</p>', '<p>a</p><p>b</p>')).to.include({
+            path: 'p:nth-child(2)',
+            difference: 'Missing <p>'
+        });
+        expect(nunjucksTest.htmlEqual('<p>a<b>b</b></p>', '<p>a</p>')).to.include({
+            path: 'p > b',
+            difference: 'Unexpected <b>'
+        });
+    });
+});
@@ -1,5 +1,6 @@
 
 const path = require('path');
+const nunjucks = require('nunjucks');
 const chai = require('chai');
 const should = chai.should();
 const expect = chai.expect;
@@ -227,3 +228,559 @@ describe('nunjucks realsitic render', () => {
         expect(html).to.equal('<p><b>string baz</b>\n</p>');
     });
 });
+
+describe('nunjucks multilingual render', () => {
+    let render;
+
+    const locales = {
+        en: [path.resolve(__dirname, 'languages', 'en.yaml')],
+        cy: [path.resolve(__dirname, 'languages', 'cy.yaml')]
+    };
+
+    beforeEach(() => {
+        render = nunjucksTest.renderer(
+            [
+                path.resolve(__dirname, 'views')
+            ],
+            locales
+        );
+    });
+
+    it('reads a dictionary for each language', () => {
+        expect(render.dictionary).to.eql({
+            en: {
+                title: 'English title',
+                body: 'English body'
+            },
+            cy: {
+                title: 'Teitl Cymraeg'
+            }
+        });
+        expect(render.languages).to.eql(['en', 'cy']);
+    });
+
+    it('translates using the default language', () => {
+        let $ = render({
+            string: '<b>{{translate("title")}}</b>',
+            translate: true
+        });
+        let html = nunjucksTest.cleanHtml($('body'));
+
+        expect(html).to.equal('<b>English title</b>');
+    });
+
+    it('translates using the given language', () => {
+        let $ = render({
+            string: '<b>{{translate("title")}}</b>',
+            translate: true,
+            language: 'cy'
+        });
+        let html = nunjucksTest.cleanHtml($('body'));
+
+        expect(html).to.equal('<b>Teitl Cymraeg</b>');
+    });
+
+    it('falls back to the default language', () => {
+        let $ = render({
+            string: '<b>{{translate("body")}}</b>',
+            translate: true,
+            language: 'cy'
+        });
+        let html = nunjucksTest.cleanHtml($('body'));
+
+        expect(html).to.equal('<b>English body</b>');
+    });
+
+    it('only uses the given list of fallback languages', () => {
+        expect(() => {
+            render({
+                string: '<b>{{translate("body")}}</b>',
+                language: ['cy']
+            });
+        }).to.throw('Translation not found for body');
+    });
+
+    it('throws an error for an unknown language', () => {
+        expect(() => {
+            render({
+                string: '<b>{{translate("body")}}</b>',
+                language: 'fr'
+            });
+        }).to.throw('Unknown language fr');
+    });
+
+    it('translates realistically using the fallback languages', () => {
+        render = nunjucksTest.renderer(
+            [
+                path.resolve(__dirname, 'views')
+            ],
+            locales,
+            undefined,
+            undefined,
+            true
+        );
+
+        let $ = render({
+            string: '<b>{{translate(["missing", "body", "title"])}}</b>',
+            language: ['cy', 'en']
+        });
+        let html = nunjucksTest.cleanHtml($('body'));
+
+        expect(html).to.equal('<b>Teitl Cymraeg</b>');
+    });
+});
+
+describe('nunjucks environments', () => {
+    const shoutFilters = {
+        addFilters: env => env.addFilter('shout', txt => txt.toUpperCase() + '!')
+    };
+    const noGlobals = { addGlobals: () => {} };
+    const noFilters = { addFilters: () => {} };
+
+    it('gives each renderer its own environment', () => {
+        const render1 = nunjucksTest.renderer(path.resolve(__dirname, 'views'), undefined, noGlobals, shoutFilters);
+        const render2 = nunjucksTest.renderer(path.resolve(__dirname, 'other-views'), undefined, noGlobals, noFilters);
+
+        expect(render1.environment).to.not.equal(render2.environment);
+        expect(nunjucksTest.cleanHtml(render1('test.html')('body'))).to.equal('<p>html [test1]</p>');
+        expect(nunjucksTest.cleanHtml(render2('test.html')('body'))).to.equal('<p>other html</p>');
+        expect(nunjucksTest.cleanHtml(render1({ string: '{{ "hi" | shout }}' })('body'))).to.equal('HI!');
+        expect(() => render2({ string: '{{ "hi" | shout }}' })).to.throw('filter not found: shout');
+    });
+
+    describe('component templates', () => {
+        let render;
+        let compile;
+        let compiled;
+
+        beforeEach(() => {
+            render = nunjucksTest.renderer(path.resolve(__dirname, 'views'));
+            compile = nunjucks.Template.prototype._compile;
+            compiled = [];
+            nunjucks.Template.prototype._compile = function () {
+                // templates from the views are precompiled by the loader so have no source string
+                if (this.tmplStr) compiled.push(this.tmplStr);
+                return compile.apply(this, arguments);
+            };
+        });
+
+        afterEach(() => {
+            nunjucks.Template.prototype._compile = compile;
+        });
+
+        it('caches compiled component templates by argument shape', () => {
+            let $ = render({ component: 'testComponent', params: { a: 1 }, ignore: true, ctx: true });
+            expect($('pre').text()).to.equal('{"a":1}');
+            $ = render({ component: 'testComponent', params: { a: 2 }, ignore: true, ctx: true });
+            expect($('pre').text()).to.equal('{"a":2}');
+            render({ component: 'callerComponent', caller: 'one' });
+            render({ component: 'callerComponent', caller: 'one' });
+            render({ component: 'callerComponent', caller: 'two' });
+
+            expect(compiled.filter(str => str.startsWith('{% from "test-component'))).to.have.lengthOf(1);
+            expect(compiled.filter(str => str.startsWith('{% from "caller-component'))).to.have.lengthOf(2);
+        });
+    });
+});
+
+describe('nunjucks render stubs and spies', () => {
+    let render;
+
+    beforeEach(() => {
+        render = nunjucksTest.renderer(
+            [
+                path.resolve(__dirname, 'views')
+            ],
+            [
+                path.resolve(__dirname, 'locale', 'locale1.json'),
+                path.resolve(__dirname, 'locale', 'locale2.json')
+            ]
+        );
+    });
+
+    it('records calls to filters and globals', () => {
+        let $ = render({
+            string: '<b>{{ 1.5 | currency }}</b><i>{{ isArray(list) }}</i>'
+        }, {
+            list: [1]
+        });
+
+        expect(nunjucksTest.cleanHtml($('body'))).to.equal('<b>£1.50</b><i>true</i>');
+        expect($.calls.filters.currency).to.eql([{ args: [1.5], returnValue: '£1.50' }]);
+        expect($.calls.globals.isArray).to.eql([{ args: [[1]], returnValue: true }]);
+    });
+
+    it('stubs filters and globals for a single render', () => {
+        let $ = render({
+            string: '<b>{{ "2020-01-01" | date("YYYY") }}</b><i>{{ isArray(1) }}</i>',
+            stubs: {
+                filters: { date: (value, format) => 'date ' + format },
+                globals: { isArray: () => 'stubbed' }
+            }
+        });
+
+        expect(nunjucksTest.cleanHtml($('body'))).to.equal('<b>date YYYY</b><i>stubbed</i>');
+        expect($.calls.filters.date).to.eql([{ args: ['2020-01-01', 'YYYY'], returnValue: 'date YYYY' }]);
+
+        $ = render({ string: '<b>{{ "2020-01-01" | date("YYYY") }}</b>' });
+        expect(nunjucksTest.cleanHtml($('body'))).to.equal('<b>2020</b>');
+    });
+
+    it('adds stubs for filters and globals that do not exist', () => {
+        let $ = render({
+            string: '<b>{{ "a" | missing }}{{ other() }}</b>',
+            stubs: {
+                filters: { missing: value => value + '!' },
+                globals: { other: () => 'other' }
+            }
+        });
+
+        expect(nunjucksTest.cleanHtml($('body'))).to.equal('<b>a!other</b>');
+        expect(() => render({ string: '{{ "a" | missing }}' })).to.throw('filter not found: missing');
+        expect(render.environment.globals.other).to.be.undefined;
+    });
+
+    it('stubs globals that are not functions', () => {
+        render.environment.addGlobal('serviceName', 'Real');
+
+        let $ = render({
+            string: '<b>{{ serviceName }}</b><i>{{ newValue }}</i>',
+            stubs: { globals: { serviceName: 'Stub', newValue: { a: 1 } } }
+        });
+
+        expect(nunjucksTest.cleanHtml($('body'))).to.equal('<b>Stub</b><i>[object Object]</i>');
+        expect(render.environment.globals.serviceName).to.equal('Real');
+        expect(render.environment.globals).to.not.have.property('newValue');
+    });
+
+    it('throws for stubs of filters and function globals that are not functions', () => {
+        expect(() => render({ string: '{{ 1 | currency }}', stubs: { filters: { currency: '£1' } } }))
+            .to.throw('Stub for filter currency must be a function');
+        expect(() => render({ string: '{{ isArray(1) }}', stubs: { globals: { other: 'x', isArray: true } } }))
+            .to.throw('Stub for global isArray must be a function');
+        expect(render.environment.globals).to.not.have.property('other');
+    });
+
+    it('removes stubs if rendering throws', () => {
+        expect(() => render({
+            string: '{{ "a" | missing }}{{ translate("unknown") }}',
+            stubs: { filters: { missing: value => value } }
+        })).to.throw('Translation not found for unknown');
+
+        expect(render.environment.filters.missing).to.be.undefined;
+    });
+});
+
+describe('nunjucks async render', () => {
+    let render;
+
+    const lookupName = async id => 'name ' + id;
+    const shout = value => Promise.resolve(String(value).toUpperCase() + '!');
+    shout.async = true;
+
+    beforeEach(() => {
+        render = nunjucksTest.renderer(
+            [
+                path.resolve(__dirname, 'views')
+            ],
+            [
+                path.resolve(__dirname, 'locale', 'locale1.json'),
+                path.resolve(__dirname, 'locale', 'locale2.json')
+            ],
+            { fetchId: () => Promise.resolve(7) },
+            { lookupName, shout, trim: value => value.trim() }
+        );
+    });
+
+    it('renders a component with ctx', async () => {
+        let $ = await render.async({
+            component: 'testComponent',
+            params: { a: 1 },
+            ctx: true,
+            ignore: true
+        });
+
+        expect(nunjucksTest.cleanHtml($('body'))).to.equal('<pre>{"a":1}</pre><p>[test2]</p><p>[test3]</p>');
+    });
+
+    it('renders a component with caller', async () => {
+        let $ = await render.async({ component: 'callerComponent', caller: 'caller text' });
+
+        expect(nunjucksTest.cleanHtml($('body'))).to.equal('<pre>caller text</pre>');
+    });
+
+    it('renders a template', async () => {
+        let $ = await render.async('test.html');
+
+        expect(nunjucksTest.cleanHtml($('body'))).to.equal('<p>html [test1]</p>');
+    });
+
+    it('renders a string with async filters', async () => {
+        let $ = await render.async({
+            string: '<b>{{ id | lookupName | shout }}</b><i>{{ " a " | trim }}</i>'
+        }, {
+            id: 3
+        });
+
+        expect(nunjucksTest.cleanHtml($('body'))).to.equal('<b>NAME 3!</b><i>a</i>');
+        expect($.calls.filters.lookupName).to.eql([{ args: [3], returnValue: 'name 3' }]);
+        expect($.calls.filters.shout).to.eql([{ args: ['name 3'], returnValue: 'NAME 3!' }]);
+    });
+
+    it('waits for promises passed to async filters', async () => {
+        let $ = await render.async({ string: '<b>{{ fetchId() | lookupName }}</b>' });
+
+        expect(nunjucksTest.cleanHtml($('body'))).to.equal('<b>name 7</b>');
+    });
+
+    it('stubs async filters with functions returning promises', async () => {
+        let $ = await render.async({
+            string: '<b>{{ 1 | lookupName }}</b>',
+            stubs: { filters: { lookupName: async id => 'stub ' + id } }
+        });
+
+        expect(nunjucksTest.cleanHtml($('body'))).to.equal('<b>stub 1</b>');
+        expect($.calls.filters.lookupName).to.eql([{ args: [1], returnValue: 'stub 1' }]);
+    });
+
+    it('keeps the calls of concurrent renders separate', async () => {
+        const results = await Promise.all([1, 2].map(id => render.async({ string: '{{ id | lookupName }}' }, { id })));
+
+        expect(results.map($ => $('body').text())).to.eql(['name 1', 'name 2']);
+        expect(results.map($ => $.calls.filters.lookupName.length)).to.eql([1, 1]);
+    });
+
+    describe('with a sync render while an async filter waits', () => {
+        let syncRender;
+
+        beforeEach(() => {
+            // the async filter runs a sync render before it resolves
+            const later = value => new Promise(resolve => setTimeout(() => {
+                syncRender = render({ string: '{{ "c" | up }}' });
+                resolve(value);
+            }, 10));
+            later.async = true;
+            render = nunjucksTest.renderer(path.resolve(__dirname, 'views'), undefined, {},
+                { up: value => value.toUpperCase(), later }, { strict: true });
+        });
+
+        it('keeps the calls of each render separate', async () => {
+            const $ = await render.async({ string: '{{ "a" | up }}{{ "x" | later }}{{ "b" | up }}' });
+
+            expect($.calls.filters.up.map(call => call.returnValue)).to.eql(['A', 'B']);
+            expect(syncRender.calls.filters.up).to.eql([{ args: ['c'], returnValue: 'C' }]);
+        });
+
+        it('reports undefined lookups after the async filter', async () => {
+            const err = await render.async({ string: '{{ "a" | up }}{{ "x" | later }}{{ "b" | up }}{{ missing }}' })
+                .catch(e => e);
+
+            expect(err.message).to.equal('Undefined variables in string:\n  string:1:49 missing');
+        });
+    });
+
+    it('rejects if a translation is not found', async () => {
+        const err = await render.async({ component: 'testComponent', ctx: true }).catch(e => e);
+
+        expect(err.message).to.contain('Translation not found for test3');
+    });
+
+    it('rejects if an async filter is used in a macro', async () => {
+        const message = 'Async filter lookupName did not finish before the render completed';
+        let err = await render.async({
+            string: '{% macro name(id) %}{{ id | lookupName }}{% endmacro %}{{ name(1) }}'
+        }).catch(e => e);
+        expect(err.message).to.contain(message);
+
+        err = await render.async({ component: 'callerComponent', caller: '{{ 1 | lookupName }}' }).catch(e => e);
+        expect(err.message).to.contain(message);
+    });
+
+    describe('with an async filter that never finishes', () => {
+        const stubs = { filters: { lookupName: () => new Promise(() => {}) } };
+
+        it('rejects after the timeout and runs the next render', async () => {
+            const err = await render.async({ string: '<b>{{ 1 | lookupName }}</b>', stubs, asyncTimeout: 20 })
+                .catch(e => e);
+            const $ = await render.async({ string: '<b>{{ 2 | lookupName }}</b>' });
+
+            expect(err.message).to.contain('Async render timed out after 20ms waiting for async filter lookupName');
+            expect(err.location).to.eql({ file: 'string', line: 1, column: 4 });
+            expect($('b').text()).to.equal('name 2');
+        });
+
+        it('uses the asyncTimeout renderer option', async () => {
+            render = nunjucksTest.renderer(path.resolve(__dirname, 'views'), undefined, {}, { lookupName },
+                { asyncTimeout: 20 });
+
+            const err = await render.async({ string: '{{ 1 | lookupName }}', stubs }).catch(e => e);
+
+            expect(err.message).to.contain('Async render timed out after 20ms');
+        });
+    });
+
+    it('throws if an async filter is used with a synchronous render', () => {
+        expect(() => render({ string: '{{ 1 | lookupName }}' }))
+            .to.throw('Async filter lookupName can only be used with render.async()');
+    });
+});
+
+describe('nunjucks component resolver', () => {
+    const views = path.resolve(__dirname, 'views');
+
+    it('resolves components using prefix rules', () => {
+        const render = nunjucksTest.renderer(views, undefined, undefined, undefined, {
+            componentResolver: [
+                { prefix: 'govuk', path: 'govuk/components/' },
+                { prefix: 'hmpo', path: 'hmpo/' }
+            ]
+        });
+
+        let $ = render({ component: 'govukButton', params: { text: 'Continue' } });
+        expect(nunjucksTest.cleanHtml($('body'))).to.equal('<button>Continue</button>');
+
+        $ = render({ component: 'hmpoDateInput', params: { id: 'dob' } });
+        expect(nunjucksTest.cleanHtml($('body'))).to.equal('<input type="date" name="dob">');
+
+        $ = render({ component: 'callerComponent', caller: 'text' });
+        expect(nunjucksTest.cleanHtml($('body'))).to.equal('<pre>text</pre>');
+    });
+
+    it('resolves components using a function', () => {
+        const render = nunjucksTest.renderer(views, undefined, undefined, undefined, {
+            componentResolver: name => ['missing/' + name + '.njk', 'govuk/components/button/macro.njk']
+        });
+
+        let $ = render({ component: 'govukButton', params: { text: 'Continue' } });
+        expect(nunjucksTest.cleanHtml($('body'))).to.equal('<button>Continue</button>');
+    });
+
+    it('lists the paths tried if a component cannot be found', () => {
+        const render = nunjucksTest.renderer(views, undefined, undefined, undefined, {
+            componentResolver: [
+                { prefix: 'govuk', path: 'govuk/components/' }
+            ]
+        });
+
+        expect(() => render({ component: 'govukPanel' })).to.throw(
+            'Cannot find component govukPanel, tried: govuk/components/panel/macro.njk, govuk-panel/macro.njk'
+        );
+    });
+});
+
+describe('nunjucks detailed render', () => {
+    let render;
+
+    beforeEach(() => {
+        render = nunjucksTest.renderer(
+            [
+                path.resolve(__dirname, 'views')
+            ],
+            [
+                path.resolve(__dirname, 'locale', 'locale1.json'),
+                path.resolve(__dirname, 'locale', 'locale2.json')
+            ],
+            undefined,
+            undefined,
+            true
+        );
+    });
+
+    it('returns details of the render', () => {
+        const result = render.detailed('page.html');
+
+        expect(nunjucksTest.cleanHtml(result.$('body'))).to.equal(
+            '<div class="summary">summary</div><p>foo fallback</p><pre>caller</pre>'
+        );
+        expect(result.html).to.be.a('string');
+        expect(result.templates).to.eql(['page.html', 'caller-component/macro.njk', 'partials/summary.html']);
+        expect(result.translations.map(lookup => lookup.keys)).to.eql([['test1'], ['missing']]);
+        expect(result.warnings).to.eql([
+            { type: 'translation-default', message: 'Translation not found for missing, used default' }
+        ]);
+        expect(result.calls).to.eql({ filters: {}, globals: {} });
+        expect(result.durationMs).to.be.a('number');
+    });
+
+    it('lists the macro file of a component', () => {
+        const result = render.detailed({ component: 'testComponent', ctx: true });
+
+        expect(result.templates).to.eql(['test-component/macro.njk']);
+        expect(result.warnings).to.eql([
+            { type: 'translation-missing', message: 'Translation not found for test3' }
+        ]);
+    });
+
+    it('warns about ignored translations in strict mode', () => {
+        const result = render.detailed({ component: 'testComponent', ctx: true, ignore: ['test3'], realistic: false });
+
+        expect(result.warnings).to.eql([
+            { type: 'translation-ignored', message: 'Translation not found for test3, ignored' }
+        ]);
+    });
+});
+
+describe('nunjucks realistic interpolation', () => {
+    let render;
+
+    const translate = (string, context) => {
+        const result = render.detailed({ string }, context);
+        return { text: result.$('body').text(), warnings: result.warnings };
+    };
+
+    beforeEach(() => {
+        render = nunjucksTest.renderer(
+            [
+                path.resolve(__dirname, 'views')
+            ],
+            [
+                path.resolve(__dirname, 'i18n', 'messages.yaml')
+            ],
+            undefined,
+            undefined,
+            true
+        );
+    });
+
+    it('interpolates placeholders from the translate options', () => {
+        expect(translate('{{ translate("greeting", { name: "Sam" }) }}').text).to.equal('Hello Sam');
+    });
+
+    it('interpolates placeholders from the context', () => {
+        expect(translate('{{ translate("greeting") }}', { name: 'Alex' }).text).to.equal('Hello Alex');
+    });
+
+    it('interpolates placeholders from the context translate option instead of the render context', () => {
+        expect(translate('{{ translate("greeting", { context: { name: "Kim" } }) }}', { name: 'Alex' }).text).to.equal('Hello Kim');
+    });
+
+    it('warns about placeholders without a value', () => {
+        expect(translate('{{ translate("greeting") }}')).to.eql({
+            text: 'Hello {{ name }}',
+            warnings: [{ type: 'translation-interpolation', message: 'No value for {{ name }} in greeting' }]
+        });
+    });
+
+    it('resolves references to other keys', () => {
+        expect(translate('{{ translate("welcome", { name: "Sam" }) }}').text).to.equal('Welcome to the Passport Office, Sam');
+    });
+
+    it('stops resolving circular references', () => {
+        const result = translate('{{ translate("loop") }}');
+        expect(result.text).to.equal('$t(loop)');
+        expect(result.warnings).to.eql([
+            { type: 'translation-reference', message: 'Too many nested references resolving loop in loop' }
+        ]);
+    });
+
+    it('chooses plural forms using the count', () => {
+        expect(translate('{{ translate("items", { count: 0 }) }}').text).to.equal('No items');
+        expect(translate('{{ translate("items", { count: 1 }) }}').text).to.equal('One item');
+        expect(translate('{{ translate("items", { count: 5 }) }}').text).to.equal('5 items');
+        expect(translate('{{ translate("pages", { count: 0 }) }}').text).to.equal('0 pages');
+    });
+
+    it('interpolates the default', () => {
+        expect(translate('{{ translate("missing", { default: "Hi {{name}}", name: "Sam" }) }}').text).to.equal('Hi Sam');
+    });
+});
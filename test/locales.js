@@ -0,0 +1,118 @@
+const path = require('path');
+const chai = require('chai');
+const expect = chai.expect;
+
+let nunjucksTest = require('../');
+
+describe('locale loading', () => {
+    const views = path.resolve(__dirname, 'views');
+    const dir = path.resolve(__dirname, 'locale-diagnostics');
+    const first = path.join(dir, 'first.yaml');
+    const second = path.join(dir, 'second.json');
+    const third = path.join(dir, 'third.yaml');
+
+    it('reports overridden keys and type clashes', () => {
+        const render = nunjucksTest.renderer(views, [first, second, third]);
+
+        expect(render.localeWarnings).to.eql([
+            {
+                type: 'locale-override',
+                key: 'title',
+                file: second,
+                previous: first,
+                message: 'title in ' + first + ' is overridden by ' + second
+            },
+            {
+                type: 'locale-type-clash',
+                key: 'hint',
+                file: second,
+                previous: first,
+                message: 'A string at hint in ' + first + ' is replaced by an object in ' + second
+            },
+            {
+                type: 'locale-type-clash',
+                key: 'fields',
+                file: third,
+                previous: first,
+                message: 'An object at fields in ' + first + ' is replaced by a string in ' + third
+            }
+        ]);
+        expect(render.dictionary).to.eql({ title: 'Second title', fields: 'Fields', hint: { text: 'A hint' } });
+    });
+
+    it('does not report keys given the same value', () => {
+        const render = nunjucksTest.renderer(views, [first, first]);
+
+        expect(render.localeWarnings).to.eql([]);
+    });
+
+    it('records the file each key was loaded from', () => {
+        const render = nunjucksTest.renderer(views, [first, second]);
+
+        expect(render.dictionary).to.not.have.property('sources');
+        expect(render.dictionarySources).to.eql({
+            'title': second,
+            'fields.name': second,
+            'fields.age': first,
+            'hint.text': second
+        });
+    });
+
+    it('records sources of files mounted from a directory', () => {
+        const locale = path.resolve(__dirname, 'locale');
+        const render = nunjucksTest.renderer(views, [locale]);
+
+        expect(render.dictionarySources).to.include({
+            'base.key': path.join(locale, 'default.yaml'),
+            'obj.obj2.name': path.join(locale, 'obj.obj2.json')
+        });
+    });
+
+    it('records the language of warnings and sources for each language', () => {
+        const render = nunjucksTest.renderer(views, { en: [first, second], cy: [first] });
+
+        expect(render.localeWarnings.map(warning => warning.language)).to.eql(['en', 'en']);
+        expect(render.dictionarySources.en.title).to.equal(second);
+        expect(render.dictionarySources.cy.title).to.equal(first);
+    });
+
+    it('does not find the sources map as a translation', () => {
+        const render = nunjucksTest.renderer(views, [path.resolve(__dirname, 'locale', 'locale1.json')]);
+
+        expect(() => render({ string: '{{ translate("sources") }}' })).to.throw('Translation not found for sources');
+    });
+
+    it('throws for overridden keys and type clashes with the strictLocales option', () => {
+        let err;
+        try {
+            nunjucksTest.renderer(views, [first, second], undefined, undefined, { strictLocales: true });
+        } catch (e) {
+            err = e;
+        }
+
+        expect(err.message).to.equal('Locale problems:\n' +
+            '  title in ' + first + ' is overridden by ' + second + '\n' +
+            '  A string at hint in ' + first + ' is replaced by an object in ' + second);
+        expect(err.localeWarnings).to.have.lengthOf(2);
+        expect(() => nunjucksTest.renderer(views, [first], undefined, undefined, { strictLocales: true })).to.not.throw();
+    });
+
+    it('includes the line and column in YAML errors', () => {
+        const file = path.join(dir, 'broken.yaml');
+        expect(() => nunjucksTest.renderer(views, [file]))
+            .to.throw('Error loading localisation file ' + file + ':4:7: bad indentation of a mapping entry');
+    });
+
+    it('includes the line and column in JSON errors', () => {
+        const file = path.join(dir, 'broken.json');
+        let err;
+        try {
+            nunjucksTest.renderer(views, [file]);
+        } catch (e) {
+            err = e;
+        }
+
+        expect(err.message).to.match(new RegExp('^Error loading localisation file ' + file + ':3:5: '));
+        expect(err).to.include({ file, line: 3, column: 5 });
+    });
+});
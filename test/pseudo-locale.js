@@ -0,0 +1,117 @@
+const path = require('path');
+const chai = require('chai');
+const expect = chai.expect;
+
+let nunjucksTest = require('../');
+
+describe('pseudo-localisation', () => {
+    describe('pseudoLocalise', () => {
+        it('accents and expands text between markers', () => {
+            expect(nunjucksTest.pseudoLocalise('Continue')).to.equal('⟦Çöñţîñûé~~~~⟧');
+        });
+
+        it('keeps HTML tags, entities and placeholders', () => {
+            expect(nunjucksTest.pseudoLocalise('Hi {{name}} &amp; <a href="/x">go</a>'))
+                .to.equal('⟦Ĥî {{name}} &amp; <a href="/x">ĝö</a>~~⟧');
+        });
+
+        it('leaves blank text unchanged', () => {
+            expect(nunjucksTest.pseudoLocalise(' ')).to.equal(' ');
+            expect(nunjucksTest.pseudoLocalise(undefined)).to.equal(undefined);
+        });
+
+        it('pseudo-localises the strings in object translations', () => {
+            expect(nunjucksTest.pseudoLocalise({ one: 'Day', other: ['Days', 2] }))
+                .to.deep.equal({ one: '⟦Ðáý~~⟧', other: ['⟦Ðáýš~~⟧', 2] });
+        });
+    });
+
+    describe('render pseudo option', () => {
+        let render;
+
+        beforeEach(() => {
+            render = nunjucksTest.renderer(
+                path.resolve(__dirname, 'views'),
+                [path.resolve(__dirname, 'i18n', 'pseudo.yaml')],
+                {},
+                { join: (list, separator) => list.join(separator) },
+                { pseudo: true }
+            );
+        });
+
+        it('pseudo-localises translations after interpolating them', () => {
+            const $ = render({ template: 'pseudo.html' }, { name: 'Sam', page: 2 });
+
+            expect($('h1').text()).to.equal('⟦Åþþļý ƒöŕ á þáššþöŕţ~~~~~~~⟧');
+            expect($('p').first().html()).to.equal('⟦Ĥéļļö Šáɱ, <strong>ŕéáð ţĥîš</strong> ƒîŕšţ~~~~~~~~~⟧');
+            expect($('a').attr('title')).to.equal('⟦Ĝéţ ĥéļþ~~~⟧');
+        });
+
+        it('pseudo-localises list translations', () => {
+            const $ = render({ string: '{{ translate("pseudo.list") | join(",") }}' });
+
+            expect($('body').text()).to.equal('⟦Ƒîŕšţ~~⟧,⟦Šéçöñð~~~⟧');
+        });
+
+        it('can be turned on or off for a render', () => {
+            expect(render({ string: '{{ translate("pseudo.help") }}', pseudo: false })('body').text()).to.equal('[pseudo.help]');
+
+            render = nunjucksTest.renderer(
+                path.resolve(__dirname, 'views'),
+                [path.resolve(__dirname, 'i18n', 'pseudo.yaml')],
+                {},
+                {}
+            );
+            expect(render({ string: '{{ translate("pseudo.help") }}', pseudo: true })('body').text()).to.equal('⟦Ĝéţ ĥéļþ~~~⟧');
+        });
+    });
+
+    describe('findUntranslated', () => {
+        let render;
+
+        beforeEach(() => {
+            render = nunjucksTest.renderer(
+                path.resolve(__dirname, 'views'),
+                [path.resolve(__dirname, 'i18n', 'pseudo.yaml')],
+                {},
+                {},
+                { pseudo: true }
+            );
+        });
+
+        it('reports visible text and attributes outside translations', () => {
+            const $ = render({ template: 'pseudo.html' }, { name: 'Sam', page: 2 });
+
+            expect(nunjucksTest.findUntranslated($)).to.deep.equal([
+                { type: 'attribute', attribute: 'alt', text: 'Crown logo', element: '<img src="crown.png" alt="Crown logo">' },
+                { type: 'text', text: 'Help', element: '<a href="/help" title="⟦Ĝéţ ĥéļþ~~~⟧">' },
+                { type: 'text', text: 'Page 2 of 3', element: '<p>' }
+            ]);
+        });
+
+        it('ignores text matching a string or pattern', () => {
+            const $ = render({ template: 'pseudo.html' }, { name: 'Sam', page: 2 });
+
+            const results = nunjucksTest.findUntranslated($, { ignore: ['Help', /^Page/], attributes: ['title'] });
+
+            expect(results).to.deep.equal([]);
+        });
+
+        it('reports missing translations, which fall back to the key', () => {
+            const $ = render({ string: '<p>{{ translate("pseudo.missing") }}</p>' });
+
+            expect($.warnings).to.deep.include({ type: 'translation-missing', message: 'Translation not found for pseudo.missing' });
+            expect(nunjucksTest.findUntranslated($)).to.deep.equal([
+                { type: 'text', text: 'pseudo.missing', element: '<p>' }
+            ]);
+        });
+
+        it('checks a selection', () => {
+            const $ = render({ template: 'pseudo.html' }, { name: 'Sam', page: 2 });
+
+            expect(nunjucksTest.findUntranslated($('h1, a'))).to.deep.equal([
+                { type: 'text', text: 'Help', element: '<a href="/help" title="⟦Ĝéţ ĥéļþ~~~⟧">' }
+            ]);
+        });
+    });
+});
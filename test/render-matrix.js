@@ -0,0 +1,92 @@
+const path = require('path');
+const chai = require('chai');
+const expect = chai.expect;
+
+let nunjucksTest = require('../');
+
+describe('render.matrix', () => {
+    let render;
+
+    beforeEach(() => {
+        render = nunjucksTest.renderer(path.resolve(__dirname, 'matrix-views'), {
+            en: [path.resolve(__dirname, 'languages', 'en.yaml')],
+            cy: [path.resolve(__dirname, 'languages', 'cy.yaml')]
+        }, {}, {});
+    });
+
+    it('renders every combination of params, locales and modes', () => {
+        const matrix = render.matrix({
+            component: 'heading',
+            ctx: true,
+            params: [{}, { caption: 'Step 1' }],
+            locales: ['en', 'cy'],
+            modes: ['strict', 'realistic']
+        });
+
+        expect(matrix.results.map(result => [result.label, result.html])).to.deep.equal([
+            ['params[0] / en / strict', '<h1 class="heading">[title]</h1>'],
+            ['params[0] / en / realistic', '<h1 class="heading">English title</h1>'],
+            ['params[0] / cy / strict', '<h1 class="heading">[title]</h1>'],
+            ['params[0] / cy / realistic', '<h1 class="heading">Teitl Cymraeg</h1>'],
+            ['params[1] / en / strict', '<h1 class="heading">[title]</h1><span>Step 1</span>'],
+            ['params[1] / en / realistic', '<h1 class="heading">English title</h1><span>Step 1</span>'],
+            ['params[1] / cy / strict', '<h1 class="heading">[title]</h1><span>Step 1</span>'],
+            ['params[1] / cy / realistic', '<h1 class="heading">Teitl Cymraeg</h1><span>Step 1</span>']
+        ]);
+        const result = matrix.get('params[1] / cy / realistic');
+        expect(result).to.include({ params: 'params[1]', language: 'cy', mode: 'realistic' });
+        expect(result.$('span').text()).to.equal('Step 1');
+    });
+
+    it('groups combinations with identical output', () => {
+        const matrix = render.matrix({
+            component: 'heading',
+            ctx: true,
+            params: { basic: {}, caption: { caption: 'Step 1' } },
+            locales: ['en', 'cy'],
+            modes: ['strict', 'realistic']
+        });
+
+        expect(matrix.groups).to.deep.equal([
+            ['basic / en / strict', 'basic / cy / strict'],
+            ['basic / en / realistic'],
+            ['basic / cy / realistic'],
+            ['caption / en / strict', 'caption / cy / strict'],
+            ['caption / en / realistic'],
+            ['caption / cy / realistic']
+        ]);
+        expect(matrix.unchangedParams).to.deep.equal([]);
+    });
+
+    it('reports params that have no effect', () => {
+        const matrix = render.matrix({
+            component: 'heading',
+            ctx: true,
+            params: { basic: {}, unknown: { colour: 'red' }, large: { size: 'l' }, small: { size: '' } },
+            modes: ['strict', 'pseudo']
+        });
+
+        expect(matrix.unchangedParams).to.deep.equal([['basic', 'unknown', 'small']]);
+        expect(matrix.get('large / pseudo').html).to.equal('<h1 class="heading heading--l">⟦Éñĝļîšĥ ţîţļé~~~~~⟧</h1>');
+    });
+
+    it('compares two results', () => {
+        const matrix = render.matrix({ component: 'heading', ctx: true, params: { basic: {}, large: { size: 'l' } } });
+
+        const result = matrix.compare('basic / strict', 'large / strict');
+
+        expect(result.equal).to.equal(false);
+        expect(result.path).to.equal('h1.heading');
+        expect(() => matrix.compare('basic / strict', 'huge / strict')).to.throw('Unknown matrix result huge / strict');
+    });
+
+    it('throws an error for unknown modes', () => {
+        expect(() => render.matrix({ component: 'heading', modes: ['strict', 'loud'] }))
+            .to.throw('Unknown mode loud, expected one of strict, realistic, pseudo');
+    });
+
+    it('adds the label to render errors', () => {
+        expect(() => render.matrix({ component: 'heading', ctx: true, params: [{}], locales: ['fr'] }))
+            .to.throw('Error rendering params[0] / fr / strict: Unknown language fr');
+    });
+});
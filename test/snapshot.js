@@ -0,0 +1,104 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const chai = require('chai');
+const expect = chai.expect;
+
+let nunjucksTest = require('../');
+const { lineDiff } = require('../lib/diff');
+
+describe('line diff', () => {
+    it('returns an empty string for the same text', () => {
+        expect(lineDiff('a\nb', 'a\nb')).to.equal('');
+    });
+
+    it('marks removed and added lines', () => {
+        expect(lineDiff('<p>\na\n</p>', '<p>\nb\n</p>')).to.equal('  <p>\n- a\n+ b\n  </p>');
+    });
+
+    it('collapses unchanged lines away from changes', () => {
+        expect(lineDiff('1\n2\n3\n4\n5', '1\n2\n3\n4\n6', 1)).to.equal('...\n  4\n- 5\n+ 6');
+    });
+});
+
+describe('snapshots', () => {
+    let render;
+    let dir;
+    let file;
+    let updateSnapshots;
+
+    beforeEach(() => {
+        render = nunjucksTest.renderer(
+            [
+                path.resolve(__dirname, 'views')
+            ],
+            [
+                path.resolve(__dirname, 'locale', 'locale1.json'),
+                path.resolve(__dirname, 'locale', 'locale2.json')
+            ]
+        );
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+        file = path.join(dir, 'example.js');
+        updateSnapshots = process.env.UPDATE_SNAPSHOTS;
+        delete process.env.UPDATE_SNAPSHOTS;
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        if (updateSnapshots !== undefined) process.env.UPDATE_SNAPSHOTS = updateSnapshots;
+    });
+
+    const snapshotFile = name => path.join(dir, '__snapshots__', 'example.js', name + '.html');
+
+    it('matches a snapshot next to the calling test file', () => {
+        let $ = render({
+            string: '<p><b>string {{translate("test2")}}</b></p>',
+            translate: true
+        });
+
+        render.snapshot('renders a string', $('body'));
+    });
+
+    it('writes a missing snapshot', () => {
+        let $ = render('test.html');
+        nunjucksTest.matchSnapshot('new snapshot', $('body'), { file });
+
+        expect(fs.readFileSync(snapshotFile('new-snapshot')).toString()).to.equal('<p>html [test1]</p>\n');
+    });
+
+    it('throws a diff if the snapshot does not match', () => {
+        fs.mkdirSync(path.dirname(snapshotFile('changed')), { recursive: true });
+        fs.writeFileSync(snapshotFile('changed'), '<p>html [test2]</p>\n');
+        let $ = render('test.html');
+
+        expect(() => nunjucksTest.matchSnapshot('changed', $('body'), { file }))
+            .to.throw('Snapshot changed does not match ' + snapshotFile('changed') + '\n- <p>html [test2]</p>\n+ <p>html [test1]</p>');
+    });
+
+    it('updates the snapshot if UPDATE_SNAPSHOTS is set', () => {
+        fs.mkdirSync(path.dirname(snapshotFile('updated')), { recursive: true });
+        fs.writeFileSync(snapshotFile('updated'), '<p>html [test2]</p>\n');
+        process.env.UPDATE_SNAPSHOTS = '1';
+        let $ = render('test.html');
+        nunjucksTest.matchSnapshot('updated', $('body'), { file });
+
+        expect(fs.readFileSync(snapshotFile('updated')).toString()).to.equal('<p>html [test1]</p>\n');
+    });
+
+    it('throws an error for a duplicate snapshot name', () => {
+        let $ = render('test.html');
+        nunjucksTest.matchSnapshot('duplicate', $('body'), { file });
+
+        expect(() => nunjucksTest.matchSnapshot('duplicate', $('body'), { file })).to.throw('Duplicate snapshot name duplicate');
+    });
+
+    it('lists obsolete snapshots', () => {
+        fs.mkdirSync(path.dirname(snapshotFile('old')), { recursive: true });
+        fs.writeFileSync(snapshotFile('old'), '<p>old</p>\n');
+        let $ = render('test.html');
+        nunjucksTest.matchSnapshot('current', $('body'), { file });
+
+        expect(nunjucksTest.obsoleteSnapshots()).to.include(snapshotFile('old'));
+        expect(nunjucksTest.obsoleteSnapshots()).to.not.include(snapshotFile('current'));
+    });
+});
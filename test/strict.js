@@ -0,0 +1,168 @@
+const path = require('path');
+const chai = require('chai');
+const expect = chai.expect;
+
+let nunjucksTest = require('../');
+
+describe('strict mode', () => {
+    const views = path.resolve(__dirname, 'strict-views');
+    const typoMacro = path.resolve(views, 'typo-component', 'macro.njk');
+    const noGlobals = {};
+    const noFilters = {};
+    let render;
+
+    const renderError = (options, context) => {
+        try {
+            render(options, context);
+        } catch (err) {
+            return err;
+        }
+        throw new Error('Expected the render to throw');
+    };
+
+    beforeEach(() => {
+        render = nunjucksTest.renderer(views, undefined, noGlobals, noFilters, { strict: true });
+    });
+
+    it('reports undefined variables in components with the file, line and expression', () => {
+        const err = renderError({ component: 'typoComponent', params: { id: 'name' } });
+
+        expect(err.message).to.equal('Undefined variables in typoComponent:\n  ' + typoMacro + ':3:12 parmas');
+        expect(err.undefinedLookups).to.deep.equal([
+            { file: typoMacro, line: 3, column: 12, expression: 'parmas' }
+        ]);
+    });
+
+    it('reports undefined members of defined values once, in the order they are found', () => {
+        const err = renderError({ template: 'page.njk' }, { title: 'Title', user: {} });
+
+        expect(err.undefinedLookups).to.deep.equal([
+            { file: typoMacro, line: 3, column: 12, expression: 'parmas' },
+            { file: typoMacro, line: 7, column: 41, expression: 'item.text' },
+            { file: path.resolve(views, 'page.njk'), line: 4, column: 7, expression: 'user.name' }
+        ]);
+    });
+
+    it('reports undefined variables in caller bodies against the caller', () => {
+        const err = renderError({ component: 'typoComponent', params: { id: 'name' }, caller: 'Hint\n  {{ hint.text }}' });
+
+        expect(err.undefinedLookups[1]).to.deep.equal({ file: 'typoComponent caller', line: 2, column: 6, expression: 'hint' });
+    });
+
+    it('does not report guarded lookups', () => {
+        const $ = render({
+            string: '{% if a.b %}{% endif %}{{ c | default("x") }}{% for i in d.items %}{% endfor %}' +
+                '{{ e or "y" }}{% if f is defined and f.g == 1 %}{% endif %}{{ "z" if h.i }}{{ undefined }}'
+        });
+
+        expect($('body').text()).to.equal('xy');
+    });
+
+    it('renders defined lookups as normal', () => {
+        const $ = render({ string: '{{ user.name }} {{ user.greet() }} {{ items[1] }}' }, {
+            user: { name: 'Sam', greet() { return 'Hi ' + this.name; } },
+            items: ['a', 'b']
+        });
+
+        expect($('body').text()).to.equal('Sam Hi Sam b');
+    });
+
+    it('reports undefined variables in async renders', async () => {
+        try {
+            await render.async({ string: '<p>{{ missing }}</p>' });
+        } catch (err) {
+            expect(err.undefinedLookups).to.deep.equal([{ file: 'string', line: 1, column: 7, expression: 'missing' }]);
+            return;
+        }
+        throw new Error('Expected the render to throw');
+    });
+
+    it('chooses the template files to check with a function', () => {
+        render = nunjucksTest.renderer(views, undefined, noGlobals, noFilters, {
+            strict: file => file.endsWith('page.njk')
+        });
+
+        const err = renderError({ template: 'page.njk' }, { title: 'Title', user: {} });
+
+        expect(err.undefinedLookups).to.deep.equal([
+            { file: path.resolve(views, 'page.njk'), line: 4, column: 7, expression: 'user.name' }
+        ]);
+    });
+
+    it('does not report undefined variables when strict mode is off', () => {
+        render = nunjucksTest.renderer(views, undefined, noGlobals, noFilters);
+
+        const $ = render({ component: 'typoComponent', params: { id: 'name' } });
+
+        expect($('label').text().trim()).to.equal('');
+    });
+});
+
+describe('rendering errors', () => {
+    const views = path.resolve(__dirname, 'strict-views');
+    const brokenMacro = path.resolve(views, 'broken-component', 'macro.njk');
+    let render;
+
+    const renderError = options => render.async(options).then(() => {
+        throw new Error('Expected the render to throw');
+    }, err => err);
+
+    beforeEach(() => {
+        render = nunjucksTest.renderer(views, undefined, {}, {});
+    });
+
+    it('adds a code frame from the component template', () => {
+        let err;
+        try {
+            render({ component: 'brokenComponent', params: { text: 'Hello' } });
+        } catch (e) {
+            err = e;
+        }
+
+        expect(err.message).to.contain('Unable to call `params["format"]`');
+        expect(err.location).to.deep.equal({ file: brokenMacro, line: 3, column: 8 });
+        expect(err.codeFrame).to.equal([
+            '  1 | {% macro brokenComponent(params) %}',
+            '  2 |     <p>{{ params.text }}</p>',
+            '> 3 |     <p>{{ params.format(params.text) }}</p>',
+            '    |        ^',
+            '  4 | {% endmacro %}'
+        ].join('\n'));
+        expect(err.message).to.contain('\n\nWhile rendering ' + brokenMacro + ':3:8\n' + err.codeFrame);
+    });
+
+    it('adds a code frame from the caller body', async () => {
+        const err = await renderError({ component: 'typoComponent', params: { id: 'name' }, caller: 'Hint\n  {{ hint() }}' });
+
+        expect(err.location).to.deep.equal({ file: 'typoComponent caller', line: 2, column: 3 });
+        expect(err.codeFrame).to.equal([
+            '  1 | Hint',
+            '> 2 |   {{ hint() }}',
+            '    |   ^'
+        ].join('\n'));
+    });
+
+    it('adds a code frame from a string', async () => {
+        const err = await renderError({ string: '<p>\n{{ broken() }}\n</p>' });
+
+        expect(err.location).to.deep.equal({ file: 'string', line: 2, column: 1 });
+    });
+
+    it('adds a code frame from a string rendered again after other strings', async () => {
+        const string = '<p>\n{{ broken() }}\n</p>';
+        await renderError({ string });
+        for (let i = 0; i < 150; i++) render({ string: '<p>' + i + '</p>' });
+
+        const err = await renderError({ string });
+
+        expect(err.location).to.deep.equal({ file: 'string', line: 2, column: 1 });
+        expect(err.codeFrame).to.contain('> 2 | {{ broken() }}');
+    });
+
+    it('restores the location of the calling template after a macro returns', async () => {
+        const err = await renderError({ template: 'error-page.njk' });
+
+        expect(err.message).to.contain('Unable to call `format`');
+        expect(err.location).to.deep.equal({ file: path.resolve(views, 'error-page.njk'), line: 3, column: 4 });
+    });
+});
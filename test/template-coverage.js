@@ -0,0 +1,85 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const chai = require('chai');
+const expect = chai.expect;
+
+let nunjucksTest = require('../');
+
+describe('template coverage', () => {
+    const views = path.resolve(__dirname, 'views');
+    const file = path.resolve(views, 'coverage.njk');
+    let render;
+
+    beforeEach(() => {
+        render = nunjucksTest.renderer(views, undefined, undefined, undefined, { coverage: true });
+    });
+
+    it('renders the same output as uninstrumented templates', () => {
+        const plain = nunjucksTest.renderer(views);
+        [
+            { type: 'list', values: [1, 2] },
+            { type: 'list', values: [] },
+            { type: 'text', values: ['a', 'b'] },
+            {}
+        ].forEach(context => {
+            expect(render({ template: 'coverage.njk' }, context).html())
+                .to.equal(plain({ template: 'coverage.njk' }, context).html());
+        });
+    });
+
+    it('counts statements, branches and macros', () => {
+        render({ template: 'coverage.njk' }, { type: 'list', values: [1, 2] });
+        render({ template: 'coverage.njk' }, { type: 'text', values: [1, 2] });
+
+        const coverage = render.templateCoverage.toJSON()[file];
+        expect(coverage.path).to.equal(file);
+        expect(coverage.fnMap['0']).to.include({ name: 'item', line: 1 });
+        expect(coverage.f).to.eql({ 0: 2 });
+        expect(coverage.branchMap['0']).to.include({ type: 'if', line: 4 });
+        expect(coverage.branchMap['1']).to.include({ type: 'for', line: 6 });
+        expect(coverage.branchMap['2']).to.include({ type: 'if', line: 12 });
+        expect(coverage.b).to.eql({ 0: [1, 1], 1: [2, 0], 2: [1, 0] });
+        expect(coverage.statementMap['0']).to.eql({ start: { line: 2, column: 4 }, end: { line: 2, column: 24 } });
+        expect(coverage.s['0']).to.equal(2);
+    });
+
+    it('counts call blocks as functions', () => {
+        render({ template: 'page.html' }, { translate: () => 'text' });
+
+        const coverage = render.templateCoverage.toJSON()[path.resolve(views, 'page.html')];
+        expect(coverage.fnMap['0']).to.include({ name: 'caller', line: 4 });
+        expect(coverage.f).to.eql({ 0: 1 });
+    });
+
+    it('formats coverage as lcov', () => {
+        render({ template: 'coverage.njk' }, { type: 'list', values: [] });
+
+        const lcov = render.templateCoverage.toLcov();
+        expect(lcov).to.contain('SF:' + file + '\n');
+        expect(lcov).to.contain('FN:1,item\nFNDA:0,item\nFNF:1\nFNH:0\n');
+        expect(lcov).to.contain('BRDA:6,1,0,-\nBRDA:6,1,1,1\n');
+        expect(lcov).to.contain('DA:9,1\n');
+        expect(lcov).to.contain('DA:15,0\n');
+    });
+
+    it('does not instrument templates without the coverage option', () => {
+        const plain = nunjucksTest.renderer(views);
+        expect(plain.templateCoverage).to.be.undefined;
+    });
+
+    it('merges and writes coverage from every renderer', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coverage-'));
+        const before = nunjucksTest.templateCoverage()[file];
+        render({ template: 'coverage.njk' }, {});
+
+        try {
+            const coverage = nunjucksTest.writeTemplateCoverage(dir);
+            expect(coverage[file].b['2'][1]).to.equal((before ? before.b['2'][1] : 0) + 1);
+            expect(JSON.parse(fs.readFileSync(path.join(dir, 'coverage-final.json')))).to.eql(coverage);
+            expect(fs.readFileSync(path.join(dir, 'lcov.info')).toString()).to.contain('SF:' + file);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,155 @@
+const path = require('path');
+const chai = require('chai');
+const expect = chai.expect;
+
+let nunjucksTest = require('../');
+
+describe('translation coverage', () => {
+    let render;
+
+    beforeEach(() => {
+        render = nunjucksTest.renderer(
+            [
+                path.resolve(__dirname, 'views')
+            ],
+            {
+                en: [path.resolve(__dirname, 'languages', 'en.yaml')],
+                cy: [path.resolve(__dirname, 'languages', 'cy.yaml')]
+            },
+            undefined,
+            undefined,
+            true
+        );
+    });
+
+    it('records each lookup with its source', () => {
+        render({ string: '{{translate(["missing", "title"])}}' });
+
+        expect(render.translations.lookups).to.eql([
+            {
+                keys: ['missing', 'title'],
+                languages: ['en'],
+                key: 'title',
+                language: 'en',
+                found: true,
+                defaulted: false,
+                source: 'string'
+            }
+        ]);
+    });
+
+    it('reports unused, missing and defaulted keys', () => {
+        render({ string: '{{translate("title")}}' });
+        render({ string: '{{translate("title")}}', language: 'cy' });
+        render({ string: '{{translate("nothing")}}', language: 'cy' });
+        render({ template: 'test.html' });
+        render({ string: '{{translate("other", { default: "x" })}}' });
+
+        expect(render.translations.report()).to.eql({
+            unused: [
+                { language: 'en', key: 'body' }
+            ],
+            missing: [
+                { language: 'cy', key: 'nothing', sources: ['string'] },
+                { language: 'en', key: 'test1', sources: ['test.html'] }
+            ],
+            defaulted: [
+                { language: 'en', key: 'other', sources: ['string'] }
+            ]
+        });
+    });
+
+    it('records the template that made each lookup', () => {
+        render({ component: 'testComponent', ctx: true, ignore: true });
+
+        expect(render.translations.lookups.map(lookup => lookup.source)).to.eql([
+            'test-component/macro.njk',
+            'test-component/macro.njk'
+        ]);
+
+        render({ component: 'callerComponent', caller: '{{ translate("body") }}' });
+
+        expect(render.translations.lookups[2].source).to.equal('callerComponent caller');
+    });
+
+    it('reports keys only found in the fallback language as missing', () => {
+        render({ string: '{{translate("body")}}', language: 'cy' });
+
+        const report = render.translations.report();
+        expect(report.missing).to.eql([
+            { language: 'cy', key: 'body', sources: ['string'] }
+        ]);
+        expect(report.unused).to.eql([
+            { language: 'cy', key: 'title' },
+            { language: 'en', key: 'title' }
+        ]);
+    });
+
+    it('marks nested keys as used when a parent key is translated', () => {
+        render = nunjucksTest.renderer(
+            [
+                path.resolve(__dirname, 'views')
+            ],
+            [
+                path.resolve(__dirname, 'locale')
+            ]
+        );
+        render({ string: '{{translate("locale1")}}', translate: true });
+
+        expect(render.translations.report().unused).to.eql([
+            { language: undefined, key: 'base.key' },
+            { language: undefined, key: 'locale2.test2' },
+            { language: undefined, key: 'obj.obj2.name' }
+        ]);
+    });
+
+    it('reports across every renderer with the translationReport option', () => {
+        render = nunjucksTest.renderer(
+            [
+                path.resolve(__dirname, 'views')
+            ],
+            {
+                en: [path.resolve(__dirname, 'languages', 'en.yaml')],
+                cy: [path.resolve(__dirname, 'languages', 'cy.yaml')]
+            },
+            undefined,
+            undefined,
+            { realistic: true, translationReport: true }
+        );
+        render({ string: '{{translate("nothing")}}', language: 'cy' });
+        const report = nunjucksTest.translationReport();
+        expect(report.unused).to.be.an('array');
+        expect(report.missing).to.deep.include({ language: 'cy', key: 'nothing', sources: ['string'] });
+    });
+
+    it('only keeps renderers created while reporting is enabled', () => {
+        const previous = nunjucksTest.enableTranslationReport(false);
+        const create = () => nunjucksTest.renderer(path.resolve(__dirname, 'views'), [], undefined, undefined, true);
+        try {
+            create()({ string: '{{translate("unreported")}}' });
+            nunjucksTest.enableTranslationReport();
+            create()({ string: '{{translate("reported")}}' });
+        } finally {
+            nunjucksTest.enableTranslationReport(previous);
+        }
+
+        const keys = nunjucksTest.translationReport().missing.map(item => item.key);
+        expect(keys).to.include('reported');
+        expect(keys).to.not.include('unreported');
+    });
+
+    it('formats a report', () => {
+        const text = nunjucksTest.formatTranslationReport({
+            unused: [{ language: 'en', key: 'body' }],
+            missing: [{ key: 'test1', sources: ['test.html', 'string'] }],
+            defaulted: []
+        });
+
+        expect(text).to.equal(
+            'Translation coverage\n' +
+            'Unused keys:\n  en:body\n' +
+            'Missing keys:\n  test1 (test.html, string)\n' +
+            'Keys only reached through default: none'
+        );
+    });
+});
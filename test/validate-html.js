@@ -0,0 +1,117 @@
+const path = require('path');
+const chai = require('chai');
+const expect = chai.expect;
+
+let nunjucksTest = require('../');
+
+describe('validateHtml', () => {
+    const validate = nunjucksTest.validateHtml;
+
+    it('returns no errors for valid html', () => {
+        expect(validate(
+            '<!DOCTYPE html>\n<html><head><title>a < b</title></head><body>' +
+            '<!-- <div> -->\n<p>text <b>bold</b><br><img src="a.png" alt=""/></p>' +
+            '<ul><li>one<li>two</ul>' +
+            '<input type="checkbox" checked disabled="disabled" data-x=\'a>b\'>' +
+            '<script>if (a < b) document.write("<div>");</script>' +
+            '</body></html>'
+        )).to.eql([]);
+    });
+
+    it('reports invalid nesting with the line and column', () => {
+        expect(validate('<p>\n  <div>text</div>\n</p>')).to.eql([
+            { type: 'nesting', message: '<div> is not allowed inside <p>', line: 2, column: 3 }
+        ]);
+    });
+
+    it('closes an open paragraph at the start of a block', () => {
+        expect(validate('<p>one\n<p>two\n<ul><li>three</ul><p>four<div>five</div>')).to.eql([]);
+        expect(validate('<p>one<h2>two</h2>three</p>')).to.eql([
+            { type: 'nesting', message: '<h2> is not allowed inside <p>', line: 1, column: 7 }
+        ]);
+    });
+
+    it('reports interactive content nesting', () => {
+        expect(validate('<a href="/"><button>Go</button></a><form><form></form></form><li>x</li>')).to.eql([
+            { type: 'nesting', message: '<button> is not allowed inside <a>', line: 1, column: 13 },
+            { type: 'nesting', message: '<form> is not allowed inside <form>', line: 1, column: 42 },
+            { type: 'nesting', message: '<li> is not allowed outside a list', line: 1, column: 62 }
+        ]);
+    });
+
+    it('reports unclosed and stray tags', () => {
+        expect(validate('<div>\n<span>text</div>\n</span><section')).to.eql([
+            { type: 'parse', message: 'Unclosed element <span>', line: 2, column: 1 },
+            { type: 'parse', message: 'Stray end tag </span>', line: 3, column: 1 },
+            { type: 'parse', message: 'Unclosed tag <section>', line: 3, column: 8 }
+        ]);
+    });
+
+    it('reports unclosed elements and comments at the end', () => {
+        expect(validate('<div><p>text<!-- comment')).to.eql([
+            { type: 'parse', message: 'Unclosed comment', line: 1, column: 13 },
+            { type: 'parse', message: 'Unclosed element <div>', line: 1, column: 1 }
+        ]);
+    });
+
+    it('reports self-closing non-void elements', () => {
+        expect(validate('<div/>')).to.eql([
+            { type: 'parse', message: 'Self-closing syntax used on non-void element <div>', line: 1, column: 1 }
+        ]);
+    });
+
+    it('allows self-closing SVG and MathML elements', () => {
+        expect(validate(
+            '<p><svg viewBox="0 0 10 10"><title>Arrow</title><path d="M0 0h10"/><g><circle r="1" /></g></svg>' +
+            '<math><mi>x</mi><mspace/></math><svg/></p>'
+        )).to.eql([]);
+        expect(validate('<svg><path d="M0 0"/></svg><div/>')).to.eql([
+            { type: 'parse', message: 'Self-closing syntax used on non-void element <div>', line: 1, column: 28 }
+        ]);
+    });
+
+    it('reports duplicate attributes', () => {
+        expect(validate('<input class="a" id="b" CLASS="c">')).to.eql([
+            { type: 'duplicate-attribute', message: 'Duplicate attribute class on <input>', line: 1, column: 1 }
+        ]);
+    });
+
+    it('reports invalid boolean attribute values', () => {
+        expect(validate('<input disabled="false" required=required><div hidden="until-found"></div>')).to.eql([
+            { type: 'boolean-attribute', message: 'Invalid value "false" for boolean attribute disabled on <input>', line: 1, column: 1 }
+        ]);
+    });
+
+    describe('render', () => {
+        it('throws an error for invalid html if enabled', () => {
+            const render = nunjucksTest.renderer(
+                [
+                    path.resolve(__dirname, 'views')
+                ],
+                undefined,
+                undefined,
+                undefined,
+                { validateHtml: true }
+            );
+
+            expect(() => render({ string: '<p>\n{{ "x" }}<div></div></p>' })).to.throw(
+                'Invalid HTML in string:\n  2:2 <div> is not allowed inside <p>'
+            );
+            expect(() => render({ string: '<p><div></div></p>', validateHtml: false })).to.not.throw();
+        });
+
+        it('allows the inline SVG in the GOV.UK start button', () => {
+            const render = nunjucksTest.renderer(
+                path.resolve(path.dirname(require.resolve('govuk-frontend/package.json')), 'dist'),
+                undefined,
+                {},
+                {},
+                { validateHtml: true, componentResolver: [{ prefix: 'govuk', path: 'govuk/components/' }] }
+            );
+
+            const $ = render({ component: 'govukButton', params: { text: 'Start now', href: '/start', isStartButton: true } });
+
+            expect($('a.govuk-button--start svg path')).to.have.length(1);
+        });
+    });
+});